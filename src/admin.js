@@ -0,0 +1,1033 @@
+/**
+ * Admin Commands Module
+ * Handles bot commands sent from the admin chat
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { sendMessage, getMe } from './telegram.js';
+import { createInvites, revokeInvite, listInvites, MAX_INVITE_LABEL_LENGTH } from './invites.js';
+import { getTaxonomy, saveTaxonomy, resetTaxonomy, formatItemName } from './taxonomy.js';
+import { getRoutingTable, saveRoutingTable, resetRoutingTable, hasTicketControls } from './routing.js';
+import { getStatsForPeriod, sumStats, countTrustedUsers } from './stats.js';
+import { listTrustedUsers, revokeTrustedUsers, adjustTrustExpiry } from './auth.js';
+import { formatSentimentBadge, extractFeedbackText } from './formatter.js';
+import { setTicketResponse, MAX_RESPONSE_LENGTH } from './tickets.js';
+import { detectPii } from './pii.js';
+import {
+  getSurvey,
+  launchSurvey,
+  closeSurvey,
+  MAX_SURVEY_HOURS,
+  MAX_SURVEY_OPTIONS,
+  MAX_OPTION_LENGTH,
+  MAX_QUESTION_LENGTH
+} from './surveys.js';
+import { launchAnnouncement } from './announcements.js';
+import { publishIdea, formatIdeaLeaderboard, MAX_IDEA_LENGTH } from './ideas.js';
+import { t, getAdminLanguage } from './i18n.js';
+
+/**
+ * Maps taxonomy kinds used in commands to taxonomy fields
+ */
+const TAXONOMY_KINDS = {
+  'category': 'categories',
+  'topic': 'topics'
+};
+
+/**
+ * Named periods accepted by /stats, in days
+ */
+const STATS_PERIODS = {
+  'today': 1,
+  'day': 1,
+  'week': 7,
+  'month': 30,
+  'quarter': 90,
+  'year': 365
+};
+const MAX_STATS_DAYS = 365;
+const DAILY_BREAKDOWN_MAX_DAYS = 14;
+const MAX_TRUST_ADJUST_DAYS = 365;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 86400000;
+
+/**
+ * Groupings accepted by /trusted
+ */
+const TRUSTED_GROUPINGS = {
+  'date': {
+    title: 'admin.trusted.by_date',
+    key: (user, language) => user.activatedAt ? formatDate(user.activatedAt) : t(language, 'admin.trusted.unknown_date')
+  },
+  'label': {
+    title: 'admin.trusted.by_label',
+    key: (user, language) => user.inviteLabel ||
+      t(language, user.inviteCode ? 'admin.trusted.no_label' : 'admin.trusted.shared_token')
+  },
+  'invite': {
+    title: 'admin.trusted.by_invite',
+    key: (user, language) => user.inviteCode || t(language, 'admin.trusted.shared_token')
+  }
+};
+
+/**
+ * Parses a command message into command name and arguments
+ * Strips the '@botname' suffix Telegram adds to commands in groups
+ * @param {string} text - Message text
+ * @returns {{command: string, args: Array<string>, rest: string}} Arguments as list and as raw text
+ */
+export function parseCommand(text) {
+  const trimmed = text.trim();
+  const parts = trimmed.split(/\s+/);
+  const command = parts[0].split('@')[0].toLowerCase();
+
+  return {
+    command,
+    args: parts.slice(1),
+    rest: trimmed.slice(parts[0].length).trim()
+  };
+}
+
+/**
+ * Formats a timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * /invite [count] [uses] [days] [label] - creates invite codes
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleInviteCommand(message, args, env) {
+  const [count = '1', maxUses = '1', ttlDays = '7', ...labelParts] = args;
+  const label = labelParts.join(' ');
+  const language = getAdminLanguage(env);
+
+  if (label.length > MAX_INVITE_LABEL_LENGTH) {
+    await sendMessage(message.chat.id, t(language, 'admin.invite.label_too_long', { max: MAX_INVITE_LABEL_LENGTH }), {}, env);
+    return;
+  }
+
+  let codes;
+  try {
+    codes = await createInvites({
+      count: Number(count),
+      maxUses: Number(maxUses),
+      ttlDays: Number(ttlDays),
+      label: label
+    }, env);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      await sendMessage(message.chat.id, t(language, 'admin.invite.usage'), {}, env);
+    } else {
+      console.error('Error creating invites:', error.message);
+      await sendMessage(message.chat.id, `⚠️ ${error.message}`, {}, env);
+    }
+    return;
+  }
+
+  const botInfo = await getMe(env);
+  const username = botInfo.success ? botInfo.data.username : null;
+  const links = codes.map(code => username ? `https://t.me/${username}?start=${code}` : code);
+
+  await sendMessage(
+    message.chat.id,
+    t(language, 'admin.invite.created', {
+      count: codes.length,
+      uses: maxUses,
+      days: ttlDays,
+      label: label,
+      links: links.join('\n')
+    }),
+    { link_preview_options: { is_disabled: true } },
+    env
+  );
+}
+
+/**
+ * /invites - lists active invite codes
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleInvitesCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const invites = await listInvites(env);
+
+  if (invites.length === 0) {
+    await sendMessage(message.chat.id, t(language, 'admin.invites.none'), {}, env);
+    return;
+  }
+
+  const lines = invites.map(invite => t(language, 'admin.invites.item', {
+    code: invite.code,
+    uses: invite.uses,
+    maxUses: invite.maxUses,
+    date: formatDate(invite.expiresAt),
+    label: invite.label
+  }));
+
+  await sendMessage(
+    message.chat.id,
+    t(language, 'admin.invites.list', { count: invites.length, lines: lines.join('\n') }),
+    {},
+    env
+  );
+}
+
+/**
+ * /revoke_invite <code> - revokes a single invite code
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRevokeInviteCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+
+  if (args.length === 0) {
+    await sendMessage(message.chat.id, t(language, 'admin.revoke_invite.usage'), {}, env);
+    return;
+  }
+
+  const revoked = await revokeInvite(args[0], env);
+  const reply = t(language, revoked ? 'admin.revoke_invite.done' : 'admin.revoke_invite.not_found');
+  await sendMessage(message.chat.id, reply, {}, env);
+}
+
+/**
+ * Formats a taxonomy as a readable list for the admin chat
+ * Translated labels are listed after the key
+ * @param {Object} taxonomy - Taxonomy from getTaxonomy
+ * @param {string} language - Admin language
+ * @returns {string}
+ */
+function formatTaxonomy(taxonomy, language) {
+  const formatLabels = item => Object.entries(item.labels || {})
+    .map(([code, label]) => ` [${code}: ${label}]`)
+    .join('');
+
+  const formatList = items => [...items]
+    .sort((a, b) => a.order - b.order)
+    .map(item =>
+      `${item.order}. ${item.emoji ? item.emoji + ' ' : ''}${item.label} — ${item.key}${formatLabels(item)}` +
+      (item.enabled ? '' : t(language, 'admin.taxonomy.disabled'))
+    )
+    .join('\n');
+
+  return t(language, 'admin.taxonomy.list', {
+    categories: formatList(taxonomy.categories),
+    topics: formatList(taxonomy.topics)
+  });
+}
+
+/**
+ * Applies a change to one taxonomy item and saves the result
+ * Creates the item if it doesn't exist yet
+ * @param {string} kind - 'category' or 'topic'
+ * @param {string} key - Item key
+ * @param {Object} changes - Fields to update
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object>} Saved taxonomy
+ * @throws {Error} If the kind is unknown or the result is invalid
+ */
+async function updateTaxonomyItem(kind, key, changes, env) {
+  const language = getAdminLanguage(env);
+  const field = TAXONOMY_KINDS[kind];
+  if (!field) {
+    throw new Error(t(language, 'admin.taxonomy.unknown_kind'));
+  }
+
+  const taxonomy = await getTaxonomy(env);
+  const items = taxonomy[field].map(item => ({ ...item }));
+  const existing = items.find(item => item.key === key);
+
+  if (existing) {
+    Object.assign(existing, changes);
+  } else if (changes.label) {
+    const maxOrder = Math.max(0, ...items.map(item => item.order));
+    items.push({ key, emoji: '', order: maxOrder + 1, enabled: true, ...changes });
+  } else {
+    throw new Error(t(language, 'admin.taxonomy.not_found', { key }));
+  }
+
+  return saveTaxonomy({ ...taxonomy, [field]: items }, env);
+}
+
+/**
+ * Runs a taxonomy change and reports the result to the admin chat
+ * @param {Object} message - Telegram Message object
+ * @param {Function} change - Async function returning the saved taxonomy
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function applyTaxonomyChange(message, change, env) {
+  const language = getAdminLanguage(env);
+
+  let taxonomy;
+  try {
+    taxonomy = await change();
+  } catch (error) {
+    await sendMessage(message.chat.id, `⚠️ ${error.message}`, {}, env);
+    return;
+  }
+
+  await sendMessage(message.chat.id, t(language, 'common.saved', { details: formatTaxonomy(taxonomy, language) }), {}, env);
+}
+
+/**
+ * /taxonomy - shows categories and topics
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTaxonomyCommand(message, args, env) {
+  const taxonomy = await getTaxonomy(env);
+  await sendMessage(message.chat.id, formatTaxonomy(taxonomy, getAdminLanguage(env)), {}, env);
+}
+
+/**
+ * /taxonomy_json - shows the taxonomy as JSON for editing with /taxonomy_set
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTaxonomyJsonCommand(message, args, env) {
+  const taxonomy = await getTaxonomy(env);
+  await sendMessage(message.chat.id, JSON.stringify(taxonomy, null, 2), {}, env);
+}
+
+/**
+ * /taxonomy_set <json> - replaces the whole taxonomy
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTaxonomySetCommand(message, args, env) {
+  const { rest } = parseCommand(message.text);
+
+  await applyTaxonomyChange(message, async () => {
+    let taxonomy;
+    try {
+      taxonomy = JSON.parse(rest);
+    } catch (parseError) {
+      throw new Error(t(getAdminLanguage(env), 'admin.taxonomy.invalid_json'));
+    }
+
+    return saveTaxonomy(taxonomy, env);
+  }, env);
+}
+
+/**
+ * /taxonomy_reset - restores the default taxonomy
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTaxonomyResetCommand(message, args, env) {
+  await applyTaxonomyChange(message, async () => {
+    await resetTaxonomy(env);
+    return getTaxonomy(env);
+  }, env);
+}
+
+/**
+ * /category and /topic <key> <emoji|-> <label> - adds or renames an item
+ * @param {string} kind - 'category' or 'topic'
+ * @returns {Function} Command handler
+ */
+function createItemCommand(kind) {
+  return async (message, args, env) => {
+    const [key, emoji, ...labelParts] = args;
+
+    if (!key || !emoji || labelParts.length === 0) {
+      await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.taxonomy.item_usage', { kind }), {}, env);
+      return;
+    }
+
+    await applyTaxonomyChange(message, () => updateTaxonomyItem(kind, key, {
+      emoji: emoji === '-' ? '' : emoji,
+      label: labelParts.join(' ')
+    }, env), env);
+  };
+}
+
+/**
+ * /enable and /disable <category|topic> <key> - toggles an item
+ * @param {boolean} enabled - Value to set
+ * @returns {Function} Command handler
+ */
+function createToggleCommand(enabled) {
+  return async (message, args, env) => {
+    const [kind, key] = args;
+
+    if (!kind || !key) {
+      const command = enabled ? 'enable' : 'disable';
+      await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.taxonomy.toggle_usage', { command }), {}, env);
+      return;
+    }
+
+    await applyTaxonomyChange(message, () => updateTaxonomyItem(kind, key, { enabled }, env), env);
+  };
+}
+
+/**
+ * /order <category|topic> <key> <number> - changes the position of an item
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleOrderCommand(message, args, env) {
+  const [kind, key, order] = args;
+
+  if (!kind || !key || !Number.isFinite(Number(order))) {
+    await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.taxonomy.order_usage'), {}, env);
+    return;
+  }
+
+  await applyTaxonomyChange(message, () => updateTaxonomyItem(kind, key, { order: Number(order) }, env), env);
+}
+
+/**
+ * Formats the routing table as a readable list for the admin chat
+ * @param {{routes: Array<Object>}} table - Routing table from getRoutingTable
+ * @param {string} adminChatId - Admin chat ID, the only chat with buttons by default
+ * @param {string} language - Admin language
+ * @returns {string}
+ */
+function formatRoutingTable(table, adminChatId, language) {
+  if (table.routes.length === 0) {
+    return t(language, 'admin.routing.empty');
+  }
+
+  const lines = table.routes.map(route => {
+    const destinations = route.destinations.map(destination =>
+      destination.chatId +
+      (destination.threadId ? `/${destination.threadId}` : '') +
+      (hasTicketControls(destination, adminChatId) ? '' : t(language, 'admin.routing.no_controls'))
+    );
+
+    return `• ${route.category} → ${route.topic}: ${destinations.join(', ')}`;
+  });
+
+  return t(language, 'admin.routing.list', { lines: lines.join('\n') });
+}
+
+/**
+ * /routing - shows the routing table
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRoutingCommand(message, args, env) {
+  const table = await getRoutingTable(env);
+  const adminChatId = getAdminChatId(getConfig(env));
+  await sendMessage(message.chat.id, formatRoutingTable(table, adminChatId, getAdminLanguage(env)), {}, env);
+}
+
+/**
+ * /routing_json - shows the routing table as JSON for editing with /routing_set
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRoutingJsonCommand(message, args, env) {
+  const table = await getRoutingTable(env);
+  await sendMessage(message.chat.id, JSON.stringify(table, null, 2), {}, env);
+}
+
+/**
+ * /routing_set <json> - replaces the routing table
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRoutingSetCommand(message, args, env) {
+  const { rest } = parseCommand(message.text);
+  const language = getAdminLanguage(env);
+
+  let table;
+  try {
+    table = await saveRoutingTable(JSON.parse(rest), env);
+  } catch (error) {
+    const reason = error instanceof SyntaxError ? t(language, 'admin.routing.invalid_json') : error.message;
+    await sendMessage(message.chat.id, `⚠️ ${reason}`, {}, env);
+    return;
+  }
+
+  const adminChatId = getAdminChatId(getConfig(env));
+  await sendMessage(message.chat.id, t(language, 'common.saved', { details: formatRoutingTable(table, adminChatId, language) }), {}, env);
+}
+
+/**
+ * /routing_reset - sends everything to the admin chat again
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRoutingResetCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+
+  await resetRoutingTable(env);
+  await sendMessage(message.chat.id, t(language, 'common.saved', { details: formatRoutingTable({ routes: [] }, null, language) }), {}, env);
+}
+
+/**
+ * Parses the /stats period argument
+ * @param {string|undefined} period - Named period or number of days
+ * @returns {number|null} Number of days, or null if invalid
+ */
+function parseStatsPeriod(period) {
+  if (!period) {
+    return STATS_PERIODS.week;
+  }
+
+  const normalized = period.toLowerCase();
+  if (STATS_PERIODS[normalized]) {
+    return STATS_PERIODS[normalized];
+  }
+
+  const days = Number(normalized.replace(/d$/, ''));
+  return Number.isInteger(days) && days >= 1 && days <= MAX_STATS_DAYS ? days : null;
+}
+
+/**
+ * Formats counters as lines sorted by count
+ * @param {Object<string, number>} counters - Counter map
+ * @param {function(string): string} formatKey - Formats a counter key for display
+ * @returns {string}
+ */
+function formatCounters(counters, formatKey) {
+  const entries = Object.entries(counters).sort((a, b) => b[1] - a[1]);
+
+  if (entries.length === 0) {
+    return '—';
+  }
+
+  return entries.map(([key, count]) => `${formatKey(key)}: ${count}`).join('\n');
+}
+
+/**
+ * Formats message counts per day, or per week for long periods;
+ * compacted months are listed as a whole
+ * @param {{daily: Array<Object>, monthly: Array<Object>}} stats - Counters from getStatsForPeriod, oldest first
+ * @param {string} language - Admin language
+ * @returns {string}
+ */
+function formatTimeline({ daily, monthly }, language) {
+  const sections = [];
+
+  if (monthly.length > 0) {
+    sections.push(`${t(language, 'admin.stats.by_month')}\n` + monthly.map(month => `${month.month}: ${month.total}`).join('\n'));
+  }
+
+  if (daily.length > 0 && daily.length <= DAILY_BREAKDOWN_MAX_DAYS) {
+    sections.push(`${t(language, 'admin.stats.by_day')}\n` + daily.map(day => `${day.date}: ${day.total}`).join('\n'));
+  } else if (daily.length > 0) {
+    const lines = [];
+    for (let index = 0; index < daily.length; index += 7) {
+      const week = daily.slice(index, index + 7);
+      const total = week.reduce((sum, day) => sum + day.total, 0);
+      lines.push(`${week[0].date} – ${week[week.length - 1].date}: ${total}`);
+    }
+    sections.push(`${t(language, 'admin.stats.by_week')}\n` + lines.join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * /stats [period] - shows aggregate message counts
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleStatsCommand(message, args, env) {
+  const days = parseStatsPeriod(args[0]);
+  const language = getAdminLanguage(env);
+
+  if (!days) {
+    await sendMessage(message.chat.id, t(language, 'admin.stats.usage', { max: MAX_STATS_DAYS }), {}, env);
+    return;
+  }
+
+  const [stats, taxonomy, trustedUsers] = await Promise.all([
+    getStatsForPeriod(days, env),
+    getTaxonomy(env),
+    countTrustedUsers(env)
+  ]);
+  const totals = sumStats([...stats.monthly, ...stats.daily]);
+  const fromDate = formatDate(Date.now() - (days - 1) * 86400000);
+
+  const sentiments = formatCounters(totals.sentiments, key =>
+    formatSentimentBadge(key, language) || t(language, 'sentiment.UNKNOWN')
+  );
+  const abusive = totals.abusive > 0 ? `\n${t(language, 'admin.stats.abusive', { count: totals.abusive })}` : '';
+
+  const report = t(language, 'admin.stats.report', {
+    days,
+    from: fromDate,
+    to: formatDate(Date.now()),
+    total: totals.total,
+    users: trustedUsers,
+    categories: formatCounters(totals.categories, key => formatItemName(taxonomy.categories, key, language)),
+    topics: formatCounters(totals.topics, key => formatItemName(taxonomy.topics, key, language)),
+    sentiments
+  });
+  const text = `${report}${abusive}\n\n${formatTimeline(stats, language)}`;
+
+  await sendMessage(message.chat.id, text, {}, env);
+}
+
+/**
+ * Parses a selection of trusted users: 'invite <code>', 'dates <from> [to]' or 'all'
+ * @param {Array<string>} args - Selector arguments
+ * @param {boolean} allowAll - Whether 'all' is accepted
+ * @param {string} language - Admin language of the description
+ * @returns {{filter: Object, description: string}|null} Filter for auth.js, or null if invalid
+ */
+function parseTrustSelector(args, allowAll, language) {
+  const [kind, first, second] = args;
+
+  if (kind === 'invite' && first) {
+    const code = first.toLowerCase();
+    return { filter: { inviteCode: code }, description: t(language, 'admin.selector.invite', { code }) };
+  }
+
+  if (kind === 'dates' && DATE_PATTERN.test(first || '') && (!second || DATE_PATTERN.test(second))) {
+    const from = Date.parse(`${first}T00:00:00Z`);
+    const to = Date.parse(`${second || first}T00:00:00Z`) + DAY_MS;
+
+    if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+      return null;
+    }
+
+    return { filter: { from, to }, description: t(language, 'admin.selector.dates', { from: first, to: second || first }) };
+  }
+
+  if (kind === 'all' && allowAll) {
+    return { filter: {}, description: t(language, 'admin.selector.all') };
+  }
+
+  return null;
+}
+
+/**
+ * /trusted [date|label|invite] - counts trusted users by group, without user IDs
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTrustedCommand(message, args, env) {
+  const grouping = TRUSTED_GROUPINGS[(args[0] || 'date').toLowerCase()];
+  const language = getAdminLanguage(env);
+
+  if (!grouping) {
+    await sendMessage(message.chat.id, t(language, 'admin.trusted.usage'), {}, env);
+    return;
+  }
+
+  const now = Date.now();
+  const allUsers = await listTrustedUsers(env);
+  const users = allUsers.filter(user => !user.expiresAt || user.expiresAt > now);
+  const lapsed = allUsers.length - users.length;
+
+  if (users.length === 0) {
+    await sendMessage(message.chat.id, t(language, 'admin.trusted.none', { lapsed }), {}, env);
+    return;
+  }
+
+  const groups = new Map();
+  for (const user of users) {
+    const key = grouping.key(user, language);
+    groups.set(key, (groups.get(key) || 0) + 1);
+  }
+
+  const lines = [...groups.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([key, count]) => `${key}: ${count}`);
+
+  const { trustWarningDays } = getConfig(env);
+  const expiringSoon = users.filter(user => user.expiresAt && user.expiresAt - now <= trustWarningDays * DAY_MS).length;
+
+  await sendMessage(
+    message.chat.id,
+    t(language, 'admin.trusted.report', {
+      count: users.length,
+      warningDays: trustWarningDays,
+      expiringSoon,
+      lapsed,
+      grouping: t(language, grouping.title),
+      lines: lines.join('\n')
+    }),
+    {},
+    env
+  );
+}
+
+/**
+ * /revoke_users <invite <code> | dates <from> [to]> - revokes a group of users
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleRevokeUsersCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const selector = parseTrustSelector(args, false, language);
+
+  if (!selector) {
+    await sendMessage(message.chat.id, t(language, 'admin.revoke_users.usage'), {}, env);
+    return;
+  }
+
+  const revoked = await revokeTrustedUsers(selector.filter, env);
+  await sendMessage(
+    message.chat.id,
+    t(language, 'admin.revoke_users.done', { selection: selector.description, count: revoked }),
+    {},
+    env
+  );
+}
+
+/**
+ * /trust_days <±days> <invite <code> | dates <from> [to] | all> - moves the trust expiry
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleTrustDaysCommand(message, args, env) {
+  const days = Number(args[0]);
+  const language = getAdminLanguage(env);
+  const selector = parseTrustSelector(args.slice(1), true, language);
+
+  if (!Number.isInteger(days) || days === 0 || Math.abs(days) > MAX_TRUST_ADJUST_DAYS || !selector) {
+    await sendMessage(message.chat.id, t(language, 'admin.trust_days.usage', { max: MAX_TRUST_ADJUST_DAYS }), {}, env);
+    return;
+  }
+
+  const result = await adjustTrustExpiry(selector.filter, days, env);
+
+  await sendMessage(
+    message.chat.id,
+    t(language, 'admin.trust_days.done', {
+      days,
+      selection: selector.description,
+      updated: result.updated,
+      revoked: result.revoked
+    }),
+    {},
+    env
+  );
+}
+
+/**
+ * Parses the /survey arguments: '<hours> <question> | <option> | <option> …'
+ * @param {string} rest - Raw command arguments
+ * @returns {{question: string, options: Array<string>, hours: number}|null} Survey definition, or null if invalid
+ */
+function parseSurveyDefinition(rest) {
+  const match = rest.match(/^(\S+)\s+([\s\S]+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const [question, ...options] = match[2].split('|').map(part => part.trim());
+
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SURVEY_HOURS) {
+    return null;
+  }
+
+  if (!question || question.length > MAX_QUESTION_LENGTH) {
+    return null;
+  }
+
+  if (options.length === 1 || options.length > MAX_SURVEY_OPTIONS) {
+    return null;
+  }
+
+  if (options.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+    return null;
+  }
+
+  return { question, options, hours };
+}
+
+/**
+ * /survey <hours> <question> | <option> | … - broadcasts a survey to all trusted users
+ * Without options the answer is a rating from 1 to 10
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleSurveyCommand(message, args, env) {
+  const definition = parseSurveyDefinition(parseCommand(message.text).rest);
+
+  if (!definition) {
+    await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.survey.usage', {
+      max: MAX_SURVEY_HOURS,
+      maxOptions: MAX_SURVEY_OPTIONS,
+      maxOptionLength: MAX_OPTION_LENGTH,
+      maxQuestionLength: MAX_QUESTION_LENGTH
+    }), {}, env);
+    return;
+  }
+
+  // The results message posted by launchSurvey is the reply
+  await launchSurvey(definition, env);
+}
+
+/**
+ * /survey_close <code> - closes a survey before its deadline
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleSurveyCloseCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const [id] = args;
+
+  if (!id) {
+    await sendMessage(message.chat.id, t(language, 'admin.survey.close_usage'), {}, env);
+    return;
+  }
+
+  const survey = await getSurvey(id, env);
+
+  if (!survey) {
+    await sendMessage(message.chat.id, t(language, 'admin.survey.not_found'), {}, env);
+    return;
+  }
+
+  if (survey.status === 'closed') {
+    await sendMessage(message.chat.id, t(language, 'admin.survey.already_closed'), {}, env);
+    return;
+  }
+
+  await closeSurvey(survey, env);
+}
+
+/**
+ * /announce <text> - broadcasts an announcement to all trusted users
+ * As a reply, the replied-to message is copied instead, with its media
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleAnnounceCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const { rest } = parseCommand(message.text);
+  // In forum topics every message replies to the topic's creation message
+  const replyTo = message.reply_to_message && !message.reply_to_message.forum_topic_created
+    ? message.reply_to_message
+    : null;
+
+  if (rest) {
+    await launchAnnouncement({ text: rest }, env);
+    return;
+  }
+
+  if (!replyTo) {
+    await sendMessage(message.chat.id, t(language, 'admin.announce.usage'), {}, env);
+    return;
+  }
+
+  // Bot posts include forwarded feedback, which must never reach everyone by mistake
+  if (replyTo.from && replyTo.from.is_bot) {
+    await sendMessage(message.chat.id, t(language, 'admin.announce.bot_message'), {}, env);
+    return;
+  }
+
+  // The report posted by launchAnnouncement is the reply
+  await launchAnnouncement({ source: { chatId: String(message.chat.id), messageId: replyTo.message_id } }, env);
+}
+
+/**
+ * /publish [users|channel] [text] - publishes the replied-to feedback as an idea for upvoting
+ * Without text the author's text is published, unless it has details that could reveal the author
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handlePublishCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const config = getConfig(env);
+  const { rest } = parseCommand(message.text);
+  const usage = t(language, 'admin.publish.usage', { max: MAX_IDEA_LENGTH });
+
+  const match = rest.match(/^(users|channel)(?:\s+([\s\S]*))?$/i);
+  const explicitTarget = match ? match[1].toLowerCase() : null;
+  const editedText = (match ? match[2] || '' : rest).trim();
+
+  // Only posts the bot made from feedback can be published; in forum topics every
+  // message replies to the topic's creation message
+  const replyTo = message.reply_to_message;
+  const postText = replyTo && replyTo.from && replyTo.from.is_bot && !replyTo.forum_topic_created
+    ? replyTo.text || replyTo.caption || ''
+    : null;
+  const feedbackText = postText !== null ? extractFeedbackText(postText, language) : null;
+
+  if (postText === null || (!feedbackText && !editedText)) {
+    await sendMessage(message.chat.id, usage, {}, env);
+    return;
+  }
+
+  const text = editedText || feedbackText;
+  if (text.length > MAX_IDEA_LENGTH) {
+    await sendMessage(message.chat.id, usage, {}, env);
+    return;
+  }
+
+  if (!editedText) {
+    const piiMatches = detectPii(text);
+    if (piiMatches.length > 0) {
+      const types = [...new Set(piiMatches.map(piiMatch => t(language, `pii.${piiMatch.type}`)))].join(', ');
+      await sendMessage(message.chat.id, t(language, 'admin.publish.pii', { types }), {}, env);
+      return;
+    }
+  }
+
+  const target = explicitTarget || (config.ideasChannelId ? 'channel' : 'users');
+  if (target === 'channel' && !config.ideasChannelId) {
+    await sendMessage(message.chat.id, t(language, 'admin.publish.no_channel'), {}, env);
+    return;
+  }
+
+  // The confirmation posted by publishIdea is the reply
+  const result = await publishIdea({ text, target, replyTo: replyTo.message_id }, env);
+  if (!result.success) {
+    await sendMessage(message.chat.id, t(language, 'admin.publish.failed', { error: result.error }), {}, env);
+  }
+}
+
+/**
+ * /ideas - shows the published ideas with the most upvotes
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleIdeasCommand(message, args, env) {
+  await sendMessage(message.chat.id, await formatIdeaLeaderboard(env), {}, env);
+}
+
+/**
+ * /response <number> <text|-> - sets or removes the public response to a ticket
+ * The response is shown by /status to whoever holds the ticket's receipt code
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleResponseCommand(message, args, env) {
+  const language = getAdminLanguage(env);
+  const match = parseCommand(message.text).rest.match(/^#?(\d+)\s+([\s\S]+)$/);
+  const response = match ? match[2].trim() : '';
+
+  if (!match || response.length > MAX_RESPONSE_LENGTH) {
+    await sendMessage(message.chat.id, t(language, 'admin.response.usage', { max: MAX_RESPONSE_LENGTH }), {}, env);
+    return;
+  }
+
+  const number = Number(match[1]);
+  const cleared = response === '-';
+  const ticket = await setTicketResponse(number, cleared ? null : response, env);
+
+  if (!ticket) {
+    await sendMessage(message.chat.id, t(language, 'admin.response.not_found', { number }), {}, env);
+    return;
+  }
+
+  await sendMessage(message.chat.id, t(language, cleared ? 'admin.response.cleared' : 'admin.response.saved', { number }), {}, env);
+}
+
+/**
+ * /help - lists admin commands
+ * @param {Object} message - Telegram Message object
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleAdminHelpCommand(message, args, env) {
+  await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.help'), {}, env);
+}
+
+/**
+ * Maps admin command names to their handlers
+ */
+const ADMIN_COMMANDS = {
+  '/invite': handleInviteCommand,
+  '/invites': handleInvitesCommand,
+  '/revoke_invite': handleRevokeInviteCommand,
+  '/trusted': handleTrustedCommand,
+  '/revoke_users': handleRevokeUsersCommand,
+  '/trust_days': handleTrustDaysCommand,
+  '/taxonomy': handleTaxonomyCommand,
+  '/taxonomy_json': handleTaxonomyJsonCommand,
+  '/taxonomy_set': handleTaxonomySetCommand,
+  '/taxonomy_reset': handleTaxonomyResetCommand,
+  '/category': createItemCommand('category'),
+  '/topic': createItemCommand('topic'),
+  '/enable': createToggleCommand(true),
+  '/disable': createToggleCommand(false),
+  '/order': handleOrderCommand,
+  '/routing': handleRoutingCommand,
+  '/routing_json': handleRoutingJsonCommand,
+  '/routing_set': handleRoutingSetCommand,
+  '/routing_reset': handleRoutingResetCommand,
+  '/stats': handleStatsCommand,
+  '/survey': handleSurveyCommand,
+  '/survey_close': handleSurveyCloseCommand,
+  '/announce': handleAnnounceCommand,
+  '/publish': handlePublishCommand,
+  '/ideas': handleIdeasCommand,
+  '/response': handleResponseCommand,
+  '/help': handleAdminHelpCommand
+};
+
+/**
+ * Routes a command sent in the admin chat
+ * Unknown commands are ignored so the bot doesn't interfere with other bots in the group
+ * @param {Object} message - Telegram Message object
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function routeAdminCommand(message, env) {
+  const { command, args } = parseCommand(message.text);
+  const handler = ADMIN_COMMANDS[command];
+
+  if (!handler) {
+    return;
+  }
+
+  try {
+    await handler(message, args, env);
+  } catch (error) {
+    console.error(`Error in admin command ${command}:`, error.message, error.stack);
+    await sendMessage(message.chat.id, t(getAdminLanguage(env), 'admin.error'), {}, env);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Announcements Module
+ * Broadcasts admin announcements ("you said, we did") to every trusted user and
+ * keeps a report with delivered, blocked and failed counts in the admin chat
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { sendMessage, copyMessage, editMessageText } from './telegram.js';
+import { createBroadcastProgress, runBroadcastBatch } from './broadcast.js';
+import { generateCode } from './crypto.js';
+import { t, getAdminLanguage } from './i18n.js';
+
+const ANNOUNCEMENT_KEY_PREFIX = 'announcement:';
+const ANNOUNCEMENT_TTL = 2592000; // 30 days in seconds; a broadcast takes hours at most
+
+/**
+ * Announcement schema definition
+ * @typedef {Object} Announcement
+ * @property {string} id - Short code shown in the report
+ * @property {string|null} text - Text to send, for /announce <text>
+ * @property {{chatId: string, messageId: number}|null} source - Admin chat message to copy, for a reply with /announce
+ * @property {'sending'|'done'} status - Whether the broadcast is still running
+ * @property {number} createdAt - Timestamp of creation
+ * @property {number|null} finishedAt - Timestamp when every user was processed
+ * @property {{chatId: string, messageId: number}|null} reportMessage - Report message in the admin chat
+ * @property {BroadcastProgress} broadcast - Delivery progress (see broadcast.js)
+ */
+
+/**
+ * Stores an announcement; the status is kept in metadata so the cron finds running broadcasts without reading them
+ * @param {Announcement} announcement - Announcement to store
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function saveAnnouncement(announcement, env) {
+  await env.KV.put(`${ANNOUNCEMENT_KEY_PREFIX}${announcement.id}`, JSON.stringify(announcement), {
+    expirationTtl: ANNOUNCEMENT_TTL,
+    metadata: { status: announcement.status }
+  });
+}
+
+/**
+ * Formats the report shown in the admin chat
+ * @param {Announcement} announcement - Announcement
+ * @param {string} language - Admin language
+ * @returns {string}
+ */
+function formatReport(announcement, language) {
+  const { sent, blocked, failed } = announcement.broadcast;
+
+  return t(language, 'announcement.report', {
+    id: announcement.id,
+    delivered: sent,
+    blocked: blocked || 0,
+    failed,
+    sending: announcement.status === 'sending'
+  });
+}
+
+/**
+ * Sends the next broadcast batch, saves the progress and updates the report
+ * The copy keeps the media and formatting of the original message, but not the admin's name
+ * @param {Announcement} announcement - Running announcement
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Announcement>} Updated announcement
+ */
+async function sendNextBatch(announcement, env) {
+  const { text, source } = announcement;
+
+  const saveProgress = async broadcast => {
+    const updated = {
+      ...announcement,
+      broadcast,
+      status: broadcast.done ? 'done' : 'sending',
+      finishedAt: broadcast.done ? Date.now() : null
+    };
+    await saveAnnouncement(updated, env);
+    return updated;
+  };
+
+  const broadcast = await runBroadcastBatch(announcement.broadcast, user => (source
+    ? copyMessage(user.userId, source.chatId, source.messageId, {}, env)
+    : sendMessage(user.userId, text, {}, env)
+  ), saveProgress, env);
+
+  const updated = await saveProgress(broadcast);
+
+  // A page of lapsed users changes nothing, and Telegram rejects edits that change nothing
+  const language = getAdminLanguage(env);
+  const reportText = formatReport(updated, language);
+  if (updated.reportMessage && reportText !== formatReport(announcement, language)) {
+    const { chatId, messageId } = updated.reportMessage;
+    await editMessageText(chatId, messageId, reportText, {}, env);
+  }
+
+  return updated;
+}
+
+/**
+ * Creates an announcement, posts its report and sends the first batch
+ * The remaining users get it on the following cron runs
+ * @param {{text?: string, source?: {chatId: string, messageId: number}}} content - Text, or the admin chat message to copy
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Announcement>} Created announcement
+ */
+export async function launchAnnouncement({ text = null, source = null }, env) {
+  const announcement = {
+    id: generateCode(6),
+    text,
+    source,
+    status: 'sending',
+    createdAt: Date.now(),
+    finishedAt: null,
+    reportMessage: null,
+    broadcast: createBroadcastProgress()
+  };
+
+  const chatId = getAdminChatId(getConfig(env));
+  const replyOptions = source
+    ? { reply_parameters: { message_id: source.messageId, allow_sending_without_reply: true } }
+    : {};
+  const reportResult = await sendMessage(chatId, formatReport(announcement, getAdminLanguage(env)), replyOptions, env);
+  if (reportResult.success) {
+    announcement.reportMessage = { chatId, messageId: reportResult.messageId };
+  }
+
+  await saveAnnouncement(announcement, env);
+
+  return sendNextBatch(announcement, env);
+}
+
+/**
+ * Sends the next batch of every running announcement
+ * A run that was cut off resumes after the last user in the saved progress
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{delivered: number, blocked: number, failed: number, finished: number}>}
+ */
+export async function processAnnouncements(env) {
+  const stats = { delivered: 0, blocked: 0, failed: 0, finished: 0 };
+  const ids = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: ANNOUNCEMENT_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      if (key.metadata && key.metadata.status === 'sending') {
+        ids.push(key.name.slice(ANNOUNCEMENT_KEY_PREFIX.length));
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  for (const id of ids) {
+    const announcement = await env.KV.get(`${ANNOUNCEMENT_KEY_PREFIX}${id}`, { type: 'json' });
+    if (!announcement || announcement.status !== 'sending') {
+      continue;
+    }
+
+    const before = announcement.broadcast;
+    const updated = await sendNextBatch(announcement, env);
+    const after = updated.broadcast;
+
+    stats.delivered += after.sent - before.sent;
+    stats.blocked += (after.blocked || 0) - (before.blocked || 0);
+    stats.failed += after.failed - before.failed;
+    if (updated.status === 'done') {
+      stats.finished++;
+    }
+  }
+
+  return stats;
+}
@@ -1,91 +1,216 @@
 /**
  * Authentication Module
- * Handles user activation, trust verification, and access revocation
+ * Handles user activation, trust verification and renewal, and access revocation
  */
 
-const TRUSTED_USER_TTL = 7776000; // 90 days in seconds
+import { getConfig, getAdminChatId } from './config.js';
+import { getChatMember } from './telegram.js';
+import { consumeInvite } from './invites.js';
+import { t } from './i18n.js';
+
 const TRUSTED_KEY_PREFIX = 'trusted:';
+const MAX_METADATA_LABEL_LENGTH = 100; // KV metadata is limited to 1024 bytes
+const DAY_MS = 86400000;
+const ADMIN_MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+const LAPSED_NOTICE_TTL = 2592000; // Records outlive their expiry by 30 days to explain the lapse
+const MIN_RENEWAL_MS = DAY_MS; // Smaller extensions are skipped to save KV writes
 
 /**
- * Activates a user if the provided token matches ACCESS_TOKEN
+ * Trusted user record schema definition
+ * The same fields are stored as KV metadata so listings don't need a read per user
+ * @typedef {Object} TrustedUser
+ * @property {number} activatedAt - Timestamp of activation
+ * @property {number} expiresAt - Timestamp when trust expires
+ * @property {boolean} reminded - Whether the expiry reminder has been sent
+ * @property {string|null} inviteCode - Invite code used for activation (null for the shared token)
+ * @property {string} inviteLabel - Label of that invite, e.g. department name
+ * @property {string} language - Bot language: from Telegram at activation, or chosen with /language
+ */
+
+/**
+ * Trust check result
+ * @typedef {Object} TrustStatus
+ * @property {'active'|'lapsed'|'none'} status - Active trust, recently expired trust, or no record
+ * @property {number|null} expiresAt - Timestamp when trust expires or expired
+ * @property {string|null} language - Stored bot language (null for records created before it was stored)
+ */
+
+/**
+ * Selection of trusted users for admin operations
+ * @typedef {Object} TrustFilter
+ * @property {string} [inviteCode] - Users activated with this invite code
+ * @property {number} [from] - Users activated at or after this timestamp
+ * @property {number} [to] - Users activated before this timestamp
+ */
+
+/**
+ * Activates a user with a valid invite code or the legacy shared ACCESS_TOKEN
  * @param {string} userId - Telegram user ID
- * @param {string} token - Token provided by user
+ * @param {string} token - Invite code or token provided by user
+ * @param {string} language - Bot language to store and to reply in
  * @param {Object} env - Environment bindings
  * @returns {Promise<{success: boolean, message: string}>}
  */
-export async function activateUser(userId, token, env) {
+export async function activateUser(userId, token, language, env) {
   try {
     if (!userId || !token || !env) {
       console.error('Invalid parameters for activateUser');
       return {
         success: false,
-        message: 'Произошла ошибка. Пожалуйста, попробуйте позже.'
+        message: t(language, 'common.error')
       };
     }
 
-    const { accessToken } = await import('./config.js').then(m => m.getConfig(env));
-    
-    if (token !== accessToken) {
+    const { accessToken, trustDays } = getConfig(env);
+
+    // Invite codes are checked first; the shared token stays as a fallback if configured
+    const invite = await consumeInvite(token, env);
+
+    if (!invite && (!accessToken || token !== accessToken)) {
       return {
         success: false,
-        message: 'Привет! Этот бот пока не активен.'
+        message: t(language, 'auth.inactive')
       };
     }
 
-    // Store trusted user in KV with 90-day TTL
-    const key = `${TRUSTED_KEY_PREFIX}${userId}`;
+    // Store trusted user in KV for TRUST_DAYS; activity renews it later
     const value = {
       activatedAt: Date.now(),
-      expiresAt: Date.now() + (TRUSTED_USER_TTL * 1000)
+      expiresAt: Date.now() + trustDays * DAY_MS,
+      reminded: false,
+      inviteCode: invite ? token : null,
+      inviteLabel: invite ? (invite.label || '').slice(0, MAX_METADATA_LABEL_LENGTH) : '',
+      language: language
     };
 
     try {
-      await env.KV.put(key, JSON.stringify(value), {
-        expirationTtl: TRUSTED_USER_TTL
-      });
+      await saveTrustedRecord(userId, value, env);
     } catch (kvError) {
       console.error('KV storage failure in activateUser:', kvError.message);
       return {
         success: false,
-        message: 'Произошла ошибка. Пожалуйста, попробуйте позже.'
+        message: t(language, 'common.error')
       };
     }
 
     return {
       success: true,
-      message: 'Активация прошла успешно! Теперь вы можете отправлять анонимные сообщения.'
+      message: t(language, 'auth.activated')
     };
   } catch (error) {
     console.error('Error in activateUser:', error.message, error.stack);
     return {
       success: false,
-      message: 'Произошла ошибка. Пожалуйста, попробуйте позже.'
+      message: t(language, 'common.error')
     };
   }
 }
 
 /**
- * Checks if a user is trusted (has been activated)
+ * Stores a trusted user record with its metadata
+ * The KV entry outlives the expiry by LAPSED_NOTICE_TTL so a lapse can be explained
  * @param {string} userId - Telegram user ID
+ * @param {TrustedUser} record - Trusted user record
  * @param {Object} env - Environment bindings
- * @returns {Promise<boolean>}
+ * @returns {Promise<void>}
+ */
+async function saveTrustedRecord(userId, record, env) {
+  await env.KV.put(`${TRUSTED_KEY_PREFIX}${userId}`, JSON.stringify(record), {
+    expiration: Math.floor(record.expiresAt / 1000) + LAPSED_NOTICE_TTL,
+    metadata: record
+  });
+}
+
+/**
+ * Checks a user's trust and renews active trust on activity
+ * Each renewal sets the expiry to TRUST_DAYS from now, but never past
+ * TRUST_MAX_DAYS after activation
+ * @param {string} userId - Telegram user ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<TrustStatus>}
  */
-export async function isTrustedUser(userId, env) {
+export async function checkTrust(userId, env) {
   try {
     if (!userId || !env || !env.KV) {
-      console.error('Invalid parameters for isTrustedUser');
-      return false;
+      console.error('Invalid parameters for checkTrust');
+      return { status: 'none', expiresAt: null, language: null };
     }
 
-    const key = `${TRUSTED_KEY_PREFIX}${userId}`;
-    const value = await env.KV.get(key);
-    
-    return value !== null;
+    const record = await env.KV.get(`${TRUSTED_KEY_PREFIX}${userId}`, { type: 'json' });
+
+    if (!record) {
+      return { status: 'none', expiresAt: null, language: null };
+    }
+
+    const now = Date.now();
+    const language = record.language || null;
+
+    if (!(record.expiresAt > now)) {
+      return { status: 'lapsed', expiresAt: record.expiresAt || null, language };
+    }
+
+    const { trustDays, trustMaxDays } = getConfig(env);
+    const maxExpiresAt = (record.activatedAt || now) + trustMaxDays * DAY_MS;
+    const renewedExpiresAt = Math.min(now + trustDays * DAY_MS, maxExpiresAt);
+
+    if (renewedExpiresAt - record.expiresAt >= MIN_RENEWAL_MS) {
+      try {
+        // A renewed expiry deserves a fresh reminder
+        await saveTrustedRecord(userId, { ...record, expiresAt: renewedExpiresAt, reminded: false }, env);
+        return { status: 'active', expiresAt: renewedExpiresAt, language };
+      } catch (kvError) {
+        // The current trust is still valid, renewal is retried on the next activity
+        console.error('Error renewing trust:', kvError.message);
+      }
+    }
+
+    return { status: 'active', expiresAt: record.expiresAt, language };
   } catch (error) {
-    console.error('Error in isTrustedUser:', error.message, error.stack);
+    console.error('Error in checkTrust:', error.message, error.stack);
     // On KV error, default to not trusted for security
+    return { status: 'none', expiresAt: null, language: null };
+  }
+}
+
+/**
+ * Returns the reply for a user without active trust
+ * Users whose trust lapsed learn how to get it back; others get the neutral reply
+ * @param {TrustStatus} trust - Result of checkTrust
+ * @param {string} language - Language of the reply
+ * @returns {string}
+ */
+export function getInactiveMessage(trust, language) {
+  if (trust.status !== 'lapsed') {
+    return t(language, 'auth.inactive');
+  }
+
+  const date = trust.expiresAt ? new Date(trust.expiresAt).toISOString().slice(0, 10) : '';
+
+  return t(language, 'auth.lapsed', { date });
+}
+
+/**
+ * Stores the bot language chosen with /language
+ * @param {string} userId - Telegram user ID
+ * @param {string} language - Supported language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} False if the user has no trusted record
+ */
+export async function setUserLanguage(userId, language, env) {
+  const { value, metadata } = await env.KV.getWithMetadata(`${TRUSTED_KEY_PREFIX}${userId}`, { type: 'json' });
+
+  if (!value) {
     return false;
   }
+
+  const record = { ...value, ...(metadata || {}), language: language };
+  if (!record.expiresAt) {
+    return false;
+  }
+
+  await saveTrustedRecord(userId, record, env);
+
+  return true;
 }
 
 /**
@@ -151,3 +276,179 @@ export async function revokeAllAccess(env) {
     return { revokedCount: 0 };
   }
 }
+
+/**
+ * Lists all trusted users with their expiry data, including lapsed ones
+ * (expiresAt in the past) that are kept to explain the lapse
+ * Records created before metadata was stored fall back to the KV expiration
+ * @param {Object} env - Environment bindings
+ * User IDs are for the bot's own use (reminders); never show them to admins
+ * @returns {Promise<Array<TrustedUser & {userId: string}>>}
+ */
+export async function listTrustedUsers(env) {
+  const users = [];
+  let cursor;
+
+  do {
+    const page = await listTrustedUsersPage(cursor, undefined, env);
+    users.push(...page.users);
+    cursor = page.cursor;
+  } while (cursor);
+
+  return users;
+}
+
+/**
+ * Lists one page of trusted users, for jobs that spread the work over several runs
+ * @param {string|null|undefined} cursor - Cursor returned by the previous page, or nothing for the first one
+ * @param {number|undefined} limit - Maximum number of users in the page (KV default 1000)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{users: Array<TrustedUser & {userId: string}>, cursor: string|null}>} Cursor is null after the last page
+ */
+export async function listTrustedUsersPage(cursor, limit, env) {
+  const listResult = await env.KV.list({ prefix: TRUSTED_KEY_PREFIX, cursor: cursor || undefined, limit: limit });
+
+  const users = listResult.keys.map(key => {
+    const metadata = key.metadata || {};
+    return {
+      userId: key.name.slice(TRUSTED_KEY_PREFIX.length),
+      activatedAt: metadata.activatedAt || null,
+      expiresAt: metadata.expiresAt || (key.expiration ? key.expiration * 1000 : null),
+      reminded: metadata.reminded === true,
+      inviteCode: metadata.inviteCode || null,
+      inviteLabel: metadata.inviteLabel || '',
+      language: metadata.language || null
+    };
+  });
+
+  return { users, cursor: listResult.list_complete ? null : listResult.cursor };
+}
+
+/**
+ * Records that a user was reminded about expiring trust, keeping the expiry unchanged
+ * @param {string} userId - Telegram user ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} False if the record no longer exists
+ */
+export async function markExpiryReminderSent(userId, env) {
+  const key = `${TRUSTED_KEY_PREFIX}${userId}`;
+  const { value, metadata } = await env.KV.getWithMetadata(key, { type: 'json' });
+
+  if (!value) {
+    return false;
+  }
+
+  const record = { ...value, ...(metadata || {}), reminded: true };
+  if (!record.expiresAt) {
+    return false;
+  }
+
+  await saveTrustedRecord(userId, record, env);
+
+  return true;
+}
+
+/**
+ * Checks whether a trusted user matches a filter
+ * @param {TrustedUser} user - Trusted user from listTrustedUsers
+ * @param {TrustFilter} filter - Selection
+ * @returns {boolean}
+ */
+function matchesTrustFilter(user, filter) {
+  if (filter.inviteCode && user.inviteCode !== filter.inviteCode) {
+    return false;
+  }
+
+  if (filter.from !== undefined && !(user.activatedAt >= filter.from)) {
+    return false;
+  }
+
+  if (filter.to !== undefined && !(user.activatedAt < filter.to)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Revokes trust for every user matching a filter
+ * @param {TrustFilter} filter - Selection
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<number>} Number of revoked users
+ */
+export async function revokeTrustedUsers(filter, env) {
+  const users = (await listTrustedUsers(env)).filter(user => matchesTrustFilter(user, filter));
+
+  for (const user of users) {
+    await env.KV.delete(`${TRUSTED_KEY_PREFIX}${user.userId}`);
+  }
+
+  return users.length;
+}
+
+/**
+ * Revokes trust for one user, e.g. after Telegram reported that they blocked the bot
+ * @param {string} userId - Telegram user ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function revokeTrustedUser(userId, env) {
+  await env.KV.delete(`${TRUSTED_KEY_PREFIX}${userId}`);
+}
+
+/**
+ * Moves the expiry of every matching user with active trust by a number of days
+ * Users whose new expiry is already in the past are revoked; lapsed users need a new invite
+ * @param {TrustFilter} filter - Selection
+ * @param {number} days - Days to add (negative to shorten)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{updated: number, revoked: number}>}
+ */
+export async function adjustTrustExpiry(filter, days, env) {
+  const now = Date.now();
+  const users = (await listTrustedUsers(env))
+    .filter(user => user.expiresAt > now && matchesTrustFilter(user, filter));
+  const result = { updated: 0, revoked: 0 };
+
+  for (const user of users) {
+    const key = `${TRUSTED_KEY_PREFIX}${user.userId}`;
+    const { value, metadata } = await env.KV.getWithMetadata(key, { type: 'json' });
+
+    if (!value) {
+      continue;
+    }
+
+    const record = { ...value, ...(metadata || {}) };
+    record.expiresAt = (record.expiresAt || user.expiresAt) + days * DAY_MS;
+
+    if (record.expiresAt <= now) {
+      await env.KV.delete(key);
+      result.revoked++;
+      continue;
+    }
+
+    // A moved expiry deserves a fresh reminder
+    record.reminded = false;
+
+    await saveTrustedRecord(user.userId, record, env);
+    result.updated++;
+  }
+
+  return result;
+}
+
+/**
+ * Checks whether a user is a member of the admin chat, i.e. one of the admins
+ * @param {number} userId - Telegram user ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>}
+ */
+export async function isAdminChatMember(userId, env) {
+  const result = await getChatMember(getAdminChatId(getConfig(env)), userId, env);
+  if (!result.success) {
+    return false;
+  }
+
+  const { status, is_member: isMember } = result.data;
+  return ADMIN_MEMBER_STATUSES.includes(status) || (status === 'restricted' && isMember === true);
+}
@@ -0,0 +1,104 @@
+/**
+ * Broadcast Module
+ * Sends a message to every trusted user in batches spread over cron runs.
+ * Progress is a KV list cursor and the last user reached on that page, saved while
+ * the batch runs, so a broadcast resumes where the previous run stopped.
+ * Users who blocked the bot lose their trust, so later broadcasts skip them
+ */
+
+import { getConfig } from './config.js';
+import { listTrustedUsersPage, revokeTrustedUser } from './auth.js';
+
+const SEND_INTERVAL_MS = 50; // At most 20 messages per second, below Telegram's limit of about 30
+const BLOCKED_STATUS = 403; // Bot blocked by the user or the account was deleted
+const SAVE_INTERVAL_MS = 1000; // KV allows one write per second to the same key
+
+/**
+ * Broadcast progress schema definition
+ * @typedef {Object} BroadcastProgress
+ * @property {string|null} cursor - Cursor of the current page of trusted users (null: start or finished)
+ * @property {string|null} lastUserId - Last user on the current page the message was sent to (null: none yet)
+ * @property {boolean} done - Whether every trusted user has been processed
+ * @property {number} sent - Messages delivered
+ * @property {number} blocked - Users who blocked the bot; their trust was revoked
+ * @property {number} failed - Messages that failed for other reasons
+ */
+
+/**
+ * Creates progress for a broadcast that hasn't started yet
+ * @returns {BroadcastProgress}
+ */
+export function createBroadcastProgress() {
+  return { cursor: null, lastUserId: null, done: false, sent: 0, blocked: 0, failed: 0 };
+}
+
+/**
+ * Sends the next batch of a broadcast: the rest of one page of BROADCAST_BATCH_SIZE trusted users
+ * Users whose trust lapsed are skipped. Progress is saved at most every SAVE_INTERVAL_MS,
+ * so a run cut off halfway through a page resends only the messages after the last save
+ * @param {BroadcastProgress} progress - Progress saved by the previous run
+ * @param {function(TrustedUser & {userId: string}): Promise<{success: boolean, errorCode?: number}>} send - Sends
+ *   the message to one user
+ * @param {function(BroadcastProgress): Promise<*>} save - Saves progress in the middle of the batch
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<BroadcastProgress>} Updated progress to save
+ */
+export async function runBroadcastBatch(progress, send, save, env) {
+  if (progress.done) {
+    return progress;
+  }
+
+  const { broadcastBatchSize } = getConfig(env);
+  const page = await listTrustedUsersPage(progress.cursor, broadcastBatchSize, env);
+  const now = Date.now();
+  const next = { blocked: 0, ...progress, lastUserId: progress.lastUserId || null };
+  let first = true;
+  let savedAt = now;
+
+  for (const user of page.users) {
+    // Pages list users in key order, so everyone up to the last saved user has been handled
+    if (next.lastUserId !== null && user.userId <= next.lastUserId) {
+      continue;
+    }
+
+    if (user.expiresAt && user.expiresAt <= now) {
+      continue;
+    }
+
+    if (!first) {
+      await sleep(SEND_INTERVAL_MS);
+    }
+    first = false;
+
+    const result = await send(user);
+    if (result.success) {
+      next.sent++;
+    } else if (result.errorCode === BLOCKED_STATUS) {
+      await revokeTrustedUser(user.userId, env);
+      next.blocked++;
+    } else {
+      next.failed++;
+    }
+    next.lastUserId = user.userId;
+
+    if (Date.now() - savedAt >= SAVE_INTERVAL_MS) {
+      await save({ ...next });
+      savedAt = Date.now();
+    }
+  }
+
+  next.cursor = page.cursor;
+  next.lastUserId = null;
+  next.done = !page.cursor;
+
+  return next;
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
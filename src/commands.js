@@ -0,0 +1,81 @@
+/**
+ * Bot Command Menu Module
+ * Registers the command lists shown in the Telegram menu
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { setMyCommands } from './telegram.js';
+import { t, resolveLanguage, getAdminLanguage, SUPPORTED_LANGUAGES } from './i18n.js';
+
+const COMMANDS_MARKER_KEY = 'config:commands';
+
+/**
+ * Commands shown to employees in private chats; descriptions are 'menu.<command>'
+ */
+export const USER_COMMANDS = ['new', 'cancel', 'help', 'privacy', 'status', 'language'];
+
+/**
+ * Commands shown in the admin chat; descriptions are 'menu.admin.<command>'
+ */
+export const ADMIN_MENU_COMMANDS = ['help', 'stats', 'invite', 'invites', 'taxonomy', 'routing', 'survey', 'announce', 'ideas'];
+
+/**
+ * Builds a command list with descriptions in a language
+ * @param {Array<string>} commands - Command names
+ * @param {string} prefix - Catalog key prefix of the descriptions
+ * @param {string} language - Supported language
+ * @returns {Array<{command: string, description: string}>}
+ */
+function localizeCommands(commands, prefix, language) {
+  return commands.map(command => ({ command, description: t(language, `${prefix}${command}`) }));
+}
+
+/**
+ * Registers the command menus unless the same menus were already registered
+ * Employees get the DEFAULT_LANGUAGE menu plus one per supported language, which
+ * Telegram picks by the app language; the admin chat gets the ADMIN_LANGUAGE menu.
+ * A marker in KV keeps this to one Telegram call per change
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} True if the menus were (re)registered
+ */
+export async function registerBotCommands(env) {
+  const adminChatId = getAdminChatId(getConfig(env));
+  const defaultLanguage = resolveLanguage(null, env);
+  const adminLanguage = getAdminLanguage(env);
+
+  const userMenus = [
+    { languageCode: null, commands: localizeCommands(USER_COMMANDS, 'menu.', defaultLanguage) },
+    ...SUPPORTED_LANGUAGES.map(language => ({
+      languageCode: language,
+      commands: localizeCommands(USER_COMMANDS, 'menu.', language)
+    }))
+  ];
+  const adminCommands = localizeCommands(ADMIN_MENU_COMMANDS, 'menu.admin.', adminLanguage);
+
+  const marker = JSON.stringify({ adminChatId, users: userMenus, admins: adminCommands });
+
+  if (await env.KV.get(COMMANDS_MARKER_KEY) === marker) {
+    return false;
+  }
+
+  let success = true;
+
+  for (const menu of userMenus) {
+    const userResult = await setMyCommands(menu.commands, {
+      scope: { type: 'all_private_chats' },
+      ...(menu.languageCode ? { language_code: menu.languageCode } : {})
+    }, env);
+    success = success && userResult.success;
+  }
+
+  const adminResult = await setMyCommands(adminCommands, {
+    scope: { type: 'chat', chat_id: adminChatId }
+  }, env);
+
+  // Retry on the next run if Telegram rejected any list
+  if (success && adminResult.success) {
+    await env.KV.put(COMMANDS_MARKER_KEY, marker);
+  }
+
+  return true;
+}
@@ -0,0 +1,112 @@
+/**
+ * Compose Module
+ * Collects a draft from several messages until the user presses "Готово",
+ * within combined limits for text and attachments
+ */
+
+import { sendMessage, createInlineKeyboard, deleteMessage } from './telegram.js';
+import { updateSession, appendToDraft, MAX_MEDIA_ITEMS } from './session.js';
+import { t, resolveLanguage } from './i18n.js';
+
+/**
+ * Maximum combined text length of a draft; the admin post with its header
+ * must fit into one Telegram message (4096 characters)
+ */
+export const MAX_DRAFT_TEXT_LENGTH = 3500;
+
+/**
+ * Checks a draft's combined content against the limits
+ * @param {{messageText: string|null, mediaItems: Array}} content - Draft content
+ * @param {string} language - User's language
+ * @returns {string|null} Explanation for the user, or null if the draft fits
+ */
+export function checkDraftLimits(content, language) {
+  const textLength = (content.messageText || '').length;
+  const mediaCount = (content.mediaItems || []).length;
+
+  if (textLength > MAX_DRAFT_TEXT_LENGTH) {
+    return t(language, 'compose.text_too_long', { length: textLength, max: MAX_DRAFT_TEXT_LENGTH });
+  }
+
+  if (mediaCount > MAX_MEDIA_ITEMS) {
+    return t(language, 'compose.too_many_files', { max: MAX_MEDIA_ITEMS });
+  }
+
+  return null;
+}
+
+/**
+ * Adds a message to the draft being composed and shows its status
+ * A message that would exceed the limits is rejected and the draft stays as it was
+ * @param {string} userId - Telegram user ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - User's session at the 'message' step
+ * @param {string} text - Text or caption of the message
+ * @param {Array<MediaItem>} mediaItems - Media of the message
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function addToDraft(userId, chatId, session, text, mediaItems, env) {
+  const language = resolveLanguage(session.language, env);
+  const content = appendToDraft(session, text, mediaItems);
+
+  const limitError = checkDraftLimits(content, language);
+  if (limitError) {
+    await sendMessage(chatId, t(language, 'compose.message_rejected', { reason: limitError }), {}, env);
+    return;
+  }
+
+  const updatedSession = await updateSession(userId, {
+    ...content,
+    mediaGroupId: null,
+    albumBase: null,
+    sentimentChecked: session.sentimentChecked && content.messageText === (session.messageText || ''),
+    sentimentReviewed: false
+  }, env);
+
+  await showComposeStatus(userId, chatId, updatedSession, env);
+}
+
+/**
+ * Creates the keyboard that finishes or cancels a draft being composed
+ * @param {string} language - User's language
+ * @returns {Object} Inline keyboard markup
+ */
+export function createComposeKeyboard(language) {
+  return createInlineKeyboard([
+    [{ text: t(language, 'compose.done'), callback_data: 'compose:done' }],
+    [{ text: t(language, 'common.cancel'), callback_data: 'confirm:cancel' }]
+  ]);
+}
+
+/**
+ * Shows what the draft contains so far with the "Готово" button
+ * The previous status message is removed so the button stays below the latest message
+ * @param {string} userId - Telegram user ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - User's session
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function showComposeStatus(userId, chatId, session, env) {
+  if (session.composeMessageId) {
+    await deleteMessage(chatId, session.composeMessageId, env);
+  }
+
+  const language = resolveLanguage(session.language, env);
+  const keyboard = createComposeKeyboard(language);
+
+  const result = await sendMessage(
+    chatId,
+    t(language, 'compose.status', {
+      textLength: (session.messageText || '').length,
+      maxTextLength: MAX_DRAFT_TEXT_LENGTH,
+      mediaCount: (session.mediaItems || []).length,
+      maxMediaItems: MAX_MEDIA_ITEMS
+    }),
+    { reply_markup: keyboard },
+    env
+  );
+
+  await updateSession(userId, { composeMessageId: result.success ? result.messageId : null }, env);
+}
@@ -6,11 +6,13 @@
 /**
  * Validates that all required environment variables are present
  * @param {Object} env - Environment bindings from Cloudflare Workers
- * @returns {{ valid: boolean, missing: string[] }} - Validation result with list of missing variables
+ * @returns {{ valid: boolean, missing: string[], warnings: string[] }} - Validation result with list of missing variables
+ *   and warnings about insecure optional settings
  */
 export function validateEnv(env) {
-  const required = ['TELEGRAM_TOKEN', 'ADMIN_CHAT_ID', 'ACCESS_TOKEN'];
+  const required = ['TELEGRAM_TOKEN', 'ADMIN_CHAT_ID'];
   const missing = [];
+  const warnings = [];
 
   for (const key of required) {
     if (!env[key]) {
@@ -18,9 +20,18 @@ export function validateEnv(env) {
     }
   }
 
+  if (!env.MEDIA_GROUPS) {
+    warnings.push('MEDIA_GROUPS Durable Object binding is missing: albums (media groups) cannot be collected');
+  }
+
+  if (!env.WEBHOOK_SECRET) {
+    warnings.push('WEBHOOK_SECRET is not set: webhook requests are accepted without verifying that they come from Telegram');
+  }
+
   return {
     valid: missing.length === 0,
-    missing
+    missing,
+    warnings
   };
 }
 
@@ -33,19 +44,114 @@ export function getConfig(env) {
   // Required fields
   const telegramToken = env.TELEGRAM_TOKEN;
   const adminChatId = env.ADMIN_CHAT_ID;
-  const accessToken = env.ACCESS_TOKEN;
+
+  // Optional shared activation token (invite codes are preferred)
+  const accessToken = env.ACCESS_TOKEN || null;
+
+  // Secret Telegram sends in X-Telegram-Bot-Api-Secret-Token (strongly recommended)
+  const webhookSecret = env.WEBHOOK_SECRET || null;
+
+  // Key for the hashes that mark who already answered a survey or voted for an idea; user IDs are
+  // easy to enumerate, so the hashes must not be computable without a secret
+  const voterSalt = env.VOTER_SALT || webhookSecret || telegramToken;
 
   // Optional fields for testing and access control
   const testMode = env.TEST_MODE === 'true' || env.TEST_MODE === true;
   const adminChatIdTest = env.ADMIN_CHAT_ID_TEST || null;
   const revokeAllAccess = env.REVOKE_ALL_ACCESS === 'true' || env.REVOKE_ALL_ACCESS === true;
 
+  // Trust lifetime: renewed on activity up to the maximum counted from activation
+  const trustDays = parseInt(env.TRUST_DAYS, 10) || 90;
+  const trustMaxDays = Math.max(parseInt(env.TRUST_MAX_DAYS, 10) || 365, trustDays);
+  const trustWarningDays = parseInt(env.TRUST_WARNING_DAYS, 10) || 7;
+
+  // Per-user submission limits (0 disables a limit) and the aggregated admin alert threshold per hour
+  const rateLimitPerHour = parseCount(env.RATE_LIMIT_PER_HOUR, 5);
+  const rateLimitPerDay = parseCount(env.RATE_LIMIT_PER_DAY, 20);
+  const rateLimitAlertThreshold = parseCount(env.RATE_LIMIT_ALERT_THRESHOLD, 10);
+
+  // Optional ticket workflow settings (author notices are on unless explicitly disabled)
+  const notifyStatusChanges = env.NOTIFY_STATUS_CHANGES !== 'false' && env.NOTIFY_STATUS_CHANGES !== false;
+
+  // Optional delayed delivery to decorrelate submission and delivery times
+  const deliveryMode = ['jitter', 'batch'].includes(env.DELIVERY_MODE) ? env.DELIVERY_MODE : 'immediate';
+  const deliveryJitterMinMinutes = parseInt(env.DELIVERY_JITTER_MIN_MINUTES, 10) || 10;
+  const deliveryJitterMaxMinutes = Math.max(
+    parseInt(env.DELIVERY_JITTER_MAX_MINUTES, 10) || 120,
+    deliveryJitterMinMinutes
+  );
+  const deliveryBatchHours = parseInt(env.DELIVERY_BATCH_HOURS, 10) || 3;
+
+  // Optional Workers AI model used for sentiment analysis
+  const sentimentModel = env.SENTIMENT_MODEL || '@cf/meta/llama-3.1-8b-instruct';
+
+  // Messages sent to trusted users per broadcast run (surveys, announcements, ideas); every message is a subrequest,
+  // so keep it within the Workers subrequest limit of the plan
+  const broadcastBatchSize = Math.min(parseInt(env.BROADCAST_BATCH_SIZE, 10) || 40, 1000);
+
+  // Optional channel for published ideas (see ideas.js); the bot must be an admin there
+  const ideasChannelId = env.IDEAS_CHANNEL_ID || null;
+
+  // Languages for users without a known language and for admin chat output (see i18n.js)
+  const defaultLanguage = env.DEFAULT_LANGUAGE || 'ru';
+  const adminLanguage = env.ADMIN_LANGUAGE || defaultLanguage;
+
   return {
     telegramToken,
     adminChatId,
     accessToken,
+    webhookSecret,
+    voterSalt,
     testMode,
     adminChatIdTest,
-    revokeAllAccess
+    revokeAllAccess,
+    trustDays,
+    trustMaxDays,
+    trustWarningDays,
+    rateLimitPerHour,
+    rateLimitPerDay,
+    rateLimitAlertThreshold,
+    notifyStatusChanges,
+    deliveryMode,
+    deliveryJitterMinMinutes,
+    deliveryJitterMaxMinutes,
+    deliveryBatchHours,
+    sentimentModel,
+    broadcastBatchSize,
+    ideasChannelId,
+    defaultLanguage,
+    adminLanguage
   };
 }
+
+/**
+ * Parses a non-negative integer setting where 0 is a meaningful value
+ * @param {string|number|undefined} value - Raw environment value
+ * @param {number} fallback - Value used when the setting is missing or invalid
+ * @returns {number}
+ */
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Returns the admin chat ID that should receive feedback, honouring TEST_MODE
+ * @param {Object} config - Configuration object from getConfig
+ * @returns {string} - Admin chat ID
+ */
+export function getAdminChatId(config) {
+  return config.testMode && config.adminChatIdTest
+    ? config.adminChatIdTest
+    : config.adminChatId;
+}
+
+/**
+ * Checks whether a chat is the active admin chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {Object} config - Configuration object from getConfig
+ * @returns {boolean}
+ */
+export function isAdminChat(chatId, config) {
+  return chatId !== undefined && chatId !== null && String(chatId) === String(getAdminChatId(config));
+}
@@ -0,0 +1,277 @@
+/**
+ * Confirmation Step Module
+ * Runs the sentiment check and shows the confirmation - a preview of the admin
+ * post with identifying-details warning and draft editing buttons - once a draft
+ * is complete. Used by the webhook handler and by the media group collector
+ */
+
+import { sendMessage, createInlineKeyboard, editMessageText } from './telegram.js';
+import { updateSession, MAX_MEDIA_ITEMS } from './session.js';
+import { analyzeSentiment } from './sentiment.js';
+import { detectPii, highlightPii } from './pii.js';
+import { formatAdminMessage, escapeHtml } from './formatter.js';
+import { getTaxonomy } from './taxonomy.js';
+import { getRevealingMediaWarnings } from './media.js';
+import { checkSubmissionLimits, recordLimitHit, formatLimitMessage } from './ratelimit.js';
+import { createComposeKeyboard } from './compose.js';
+import { t, resolveLanguage, getAdminLanguage } from './i18n.js';
+
+const PREVIEW_MAX_LENGTH = 3000; // Keeps confirmation messages under Telegram's 4096 limit
+const PREVIEW_TEXT_MARKER = '\u0000TEXT\u0000'; // Stands in for the highlighted text in the preview
+
+/**
+ * Processes message for sentiment analysis and shows confirmation
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - User's session object
+ * @param {Object} env - Environment bindings
+ * @param {string|null} messageId - Message ID to edit (for media groups)
+ * @param {boolean} sendAttempt - Whether the user finished the draft ("Готово"), rather than
+ *   changed it from the confirmation; only attempts count towards the admin limit alert
+ * @returns {Promise<void>}
+ */
+export async function processMessageForSentiment(userId, chatId, session, env, messageId = null, sendAttempt = false) {
+    try {
+        const language = resolveLanguage(session.language, env);
+
+        // Limits are checked before any confirmation is shown
+        const limitCheck = await checkSubmissionLimits(userId, session, env);
+        if (!limitCheck.allowed) {
+            if (sendAttempt) {
+                await recordLimitHit(limitCheck.reason, env);
+            }
+            await showLimitMessage(userId, chatId, limitCheck, language, env, messageId);
+            return;
+        }
+
+        // Analyze the text once per draft; without the AI binding this is a no-op
+        if (!session.sentimentChecked) {
+            const analysis = await analyzeSentiment(session.messageText, env);
+            session = await updateSession(userId, {
+                sentiment: analysis ? analysis.sentiment : null,
+                abusive: analysis ? analysis.abusive : false,
+                sentimentChecked: true
+            }, env);
+        }
+
+        // Ask the user to rephrase clearly abusive messages before confirmation
+        if (session.abusive && !session.sentimentReviewed) {
+            await showSentimentReview(userId, chatId, language, env, messageId);
+            return;
+        }
+
+        const mediaCount = session.mediaItems ? session.mediaItems.length : 0;
+        const mediaWarnings = getRevealingMediaWarnings(session.mediaItems, language);
+        const mediaText = (mediaCount > 0 ? `\n${t(language, 'confirm.attachments', { count: mediaCount })}` : '') +
+            (mediaWarnings.length > 0 ? `\n\n${mediaWarnings.join('\n')}` : '');
+
+        // Warn about fragments that could reveal the author
+        const piiMatches = detectPii(session.messageText || '');
+        const preview = await formatPreview(session, piiMatches, env);
+
+        let confirmMessage;
+
+        if (piiMatches.length > 0) {
+            const fragmentTypes = [...new Set(piiMatches.map(match => t(language, `pii.${match.type}`)))].join(', ');
+
+            confirmMessage =
+                `${t(language, 'confirm.pii_header', { types: fragmentTypes })}\n\n` +
+                `${preview}${mediaText}\n\n` +
+                t(language, 'confirm.pii_footer');
+        } else {
+            confirmMessage =
+                `${t(language, 'confirm.header')}\n\n` +
+                `${preview}${mediaText}\n\n` +
+                t(language, 'confirm.footer');
+        }
+
+        const keyboard = createConfirmKeyboard(session, piiMatches.length > 0, language);
+
+        // HTML is needed for highlighting; the static texts contain no markup characters
+        const confirmOptions = { reply_markup: keyboard, parse_mode: 'HTML' };
+
+        // Edit the previous confirmation if there is one; send a new message if there isn't or the edit failed
+        const editResult = messageId
+            ? await editMessageText(chatId, messageId, confirmMessage, confirmOptions, env)
+            : null;
+
+        if (!editResult || !editResult.success) {
+            const result = await sendMessage(chatId, confirmMessage, confirmOptions, env);
+
+            // Store the message ID for potential future edits
+            if (result.success && result.messageId) {
+                try {
+                    await updateSession(userId, {
+                        confirmMessageId: result.messageId
+                    }, env);
+                } catch (sessionError) {
+                    console.error('Error storing confirmation message ID:', sessionError.message);
+                }
+            }
+        }
+
+        // Update session step to confirm
+        try {
+            await updateSession(userId, {
+                step: 'confirm'
+            }, env);
+        } catch (sessionError) {
+            console.error('Error updating session step:', sessionError.message);
+            // Continue processing
+        }
+    } catch (error) {
+        console.error('Error in processMessageForSentiment:', error.message, error.stack);
+        throw error; // Re-throw to be handled by caller
+    }
+}
+
+/**
+ * Returns a draft to the confirmation step after sending failed, so the user can
+ * try again, edit or cancel it
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - Draft session
+ * @param {Object} env - Environment bindings
+ * @param {number|null} messageId - Confirmation message ID to edit (optional)
+ * @returns {Promise<void>}
+ */
+export async function restoreConfirmation(userId, chatId, session, env, messageId = null) {
+    const language = resolveLanguage(session.language, env);
+
+    await updateSession(userId, { step: 'confirm' }, env);
+
+    const hasPii = detectPii(session.messageText || '').length > 0;
+    const options = { reply_markup: createConfirmKeyboard(session, hasPii, language) };
+    const errorMessage = `❌ ${t(language, 'send.error')}`;
+
+    if (messageId) {
+        await editMessageText(chatId, messageId, errorMessage, options, env);
+    } else {
+        await sendMessage(chatId, errorMessage, options, env);
+    }
+}
+
+/**
+ * Renders the admin post for a draft as HTML, with identifying details highlighted
+ * The post is shown in the admin language, exactly as admins will see it
+ * @param {Object} session - Draft session
+ * @param {Array<Object>} piiMatches - Matches from detectPii
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<string>} HTML preview in a blockquote
+ */
+async function formatPreview(session, piiMatches, env) {
+    const taxonomy = await getTaxonomy(env);
+
+    // Format with a marker so the post stays identical while the text gets highlighted separately
+    const post = escapeHtml(formatAdminMessage(
+        { ...session, messageText: session.messageText ? PREVIEW_TEXT_MARKER : null },
+        taxonomy,
+        null,
+        getAdminLanguage(env)
+    ));
+
+    const text = session.messageText
+        ? highlightPii(truncate(session.messageText, PREVIEW_MAX_LENGTH), piiMatches.filter(match => match.end <= PREVIEW_MAX_LENGTH))
+        : '';
+
+    return `<blockquote>${post.replace(PREVIEW_TEXT_MARKER, () => text)}</blockquote>`;
+}
+
+/**
+ * Creates the confirmation keyboard with draft editing buttons
+ * @param {Object} session - Draft session
+ * @param {boolean} hasPii - Whether identifying details were found
+ * @param {string} language - User's language
+ * @returns {Object} Inline keyboard markup
+ */
+function createConfirmKeyboard(session, hasPii, language) {
+    const mediaCount = session.mediaItems ? session.mediaItems.length : 0;
+
+    const mediaRow = [];
+    if (mediaCount < MAX_MEDIA_ITEMS) {
+        mediaRow.push({ text: t(language, 'confirm.add_media'), callback_data: 'edit:add_media' });
+    }
+    if (mediaCount > 0) {
+        mediaRow.push({ text: t(language, 'confirm.clear_media'), callback_data: 'edit:clear_media' });
+    }
+
+    return createInlineKeyboard([
+        [{ text: t(language, hasPii ? 'confirm.send_anyway' : 'confirm.send'), callback_data: 'confirm:send' }],
+        [{ text: t(language, 'confirm.edit_text'), callback_data: 'edit:text' }],
+        [
+            { text: t(language, 'confirm.edit_category'), callback_data: 'edit:category' },
+            { text: t(language, 'confirm.edit_topic'), callback_data: 'edit:topic' }
+        ],
+        ...(mediaRow.length > 0 ? [mediaRow] : []),
+        [{ text: t(language, 'common.cancel'), callback_data: 'confirm:cancel' }]
+    ]);
+}
+
+/**
+ * Truncates text to a maximum length, adding an ellipsis when shortened
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Truncated text
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Tells the user a limit was hit and returns the draft to composing. A duplicate draft
+ * can be changed; a draft over the rate limit can be finished again after the cooldown
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} limitCheck - Result of checkSubmissionLimits
+ * @param {string} language - User's language
+ * @param {Object} env - Environment bindings
+ * @param {number|null} messageId - Message ID to edit (optional)
+ * @returns {Promise<void>}
+ */
+async function showLimitMessage(userId, chatId, limitCheck, language, env, messageId = null) {
+    const text = formatLimitMessage(limitCheck, language);
+    const options = { reply_markup: createComposeKeyboard(language) };
+
+    let composeMessageId = messageId;
+    if (messageId) {
+        await editMessageText(chatId, messageId, text, options, env);
+    } else {
+        const result = await sendMessage(chatId, text, options, env);
+        composeMessageId = result.success ? result.messageId : null;
+    }
+
+    // The message carries the "Готово" button now, so later additions to the draft replace it
+    await updateSession(userId, { step: 'message', confirmMessageId: null, composeMessageId }, env);
+}
+
+/**
+ * Shows the rephrase suggestion for messages flagged as abusive
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {string} language - User's language
+ * @param {Object} env - Environment bindings
+ * @param {number|null} messageId - Message ID to edit (optional)
+ * @returns {Promise<void>}
+ */
+async function showSentimentReview(userId, chatId, language, env, messageId = null) {
+    const reviewMessage = t(language, 'review.text');
+
+    const keyboard = createInlineKeyboard([
+        [{ text: t(language, 'review.rewrite'), callback_data: 'edit:text' }],
+        [{ text: t(language, 'confirm.send_anyway'), callback_data: 'review:proceed' }],
+        [{ text: t(language, 'common.cancel'), callback_data: 'confirm:cancel' }]
+    ]);
+
+    if (messageId) {
+        await editMessageText(chatId, messageId, reviewMessage, { reply_markup: keyboard }, env);
+    } else {
+        const result = await sendMessage(chatId, reviewMessage, { reply_markup: keyboard }, env);
+
+        // Store the message ID so later confirmation can edit it
+        if (result.success && result.messageId) {
+            await updateSession(userId, { confirmMessageId: result.messageId }, env);
+        }
+    }
+
+    await updateSession(userId, { step: 'sentiment_review' }, env);
+}
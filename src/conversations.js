@@ -0,0 +1,208 @@
+/**
+ * Anonymous Conversations Module
+ * Links admin-chat messages to an opaque conversation ID so admins and
+ * the original sender can exchange replies without revealing the sender
+ */
+
+import { getConfig, isAdminChat } from './config.js';
+import { sendMessage, copyMessage } from './telegram.js';
+import { checkTrust, getInactiveMessage, isAdminChatMember } from './auth.js';
+import { t, getAdminLanguage, resolveLanguage } from './i18n.js';
+
+const CONVERSATION_TTL = 2592000; // 30 days in seconds
+const CONVERSATION_KEY_PREFIX = 'conversation:';
+const ADMIN_MESSAGE_KEY_PREFIX = 'admin_msg:';
+const USER_MESSAGE_KEY_PREFIX = 'user_msg:';
+
+/**
+ * Creates a new conversation for a feedback submission
+ * Only the bot can resolve the conversation ID back to the sender
+ * @param {string} userId - Telegram user ID of the sender
+ * @param {string} language - Sender's language for replies and status notices
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<string>} Opaque conversation ID
+ */
+export async function createConversation(userId, language, env) {
+  const conversationId = crypto.randomUUID();
+
+  await env.KV.put(`${CONVERSATION_KEY_PREFIX}${conversationId}`, JSON.stringify({
+    userId: userId,
+    language: language,
+    createdAt: Date.now()
+  }), {
+    expirationTtl: CONVERSATION_TTL
+  });
+
+  return conversationId;
+}
+
+/**
+ * Retrieves a conversation record
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{userId: string, language: string, createdAt: number}|null>}
+ */
+export async function getConversation(conversationId, env) {
+  try {
+    if (!conversationId || !env || !env.KV) {
+      return null;
+    }
+
+    return await env.KV.get(`${CONVERSATION_KEY_PREFIX}${conversationId}`, { type: 'json' });
+  } catch (error) {
+    console.error('Error getting conversation from KV:', error.message, error.stack);
+    return null;
+  }
+}
+
+/**
+ * Links messages posted in the admin chat to a conversation
+ * @param {number|string} adminChatId - Admin chat ID
+ * @param {Array<number>} messageIds - Admin chat message IDs
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function linkAdminMessages(adminChatId, messageIds, conversationId, env) {
+  for (const messageId of messageIds) {
+    if (!messageId) {
+      continue;
+    }
+
+    try {
+      await env.KV.put(`${ADMIN_MESSAGE_KEY_PREFIX}${adminChatId}:${messageId}`, conversationId, {
+        expirationTtl: CONVERSATION_TTL
+      });
+    } catch (kvError) {
+      console.error('KV storage failure in linkAdminMessages:', kvError.message);
+    }
+  }
+}
+
+/**
+ * Relays an admin reply to the anonymous sender
+ * Only handles messages that reply to a message linked to a conversation. Outside the admin
+ * chat, e.g. in a routed team channel or group, only members of the admin chat may reply
+ * @param {Object} message - Telegram Message object from the admin chat or a destination chat
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} True if the message was relayed
+ */
+export async function relayAdminReply(message, env) {
+  const replyTo = message.reply_to_message;
+  if (!replyTo) {
+    return false;
+  }
+
+  const adminChatId = message.chat.id;
+  const conversationId = await env.KV.get(`${ADMIN_MESSAGE_KEY_PREFIX}${adminChatId}:${replyTo.message_id}`);
+  if (!conversationId) {
+    return false;
+  }
+
+  if (!isAdminChat(adminChatId, getConfig(env)) && !(message.from && await isAdminChatMember(message.from.id, env))) {
+    return false;
+  }
+
+  const adminLanguage = getAdminLanguage(env);
+  const conversation = await getConversation(conversationId, env);
+  if (!conversation) {
+    await sendMessage(adminChatId, t(adminLanguage, 'reply.expired'), {
+      reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true }
+    }, env);
+    return true;
+  }
+
+  const language = resolveLanguage(conversation.language, env);
+  const hint = `\n\n${t(language, 'reply.hint')}`;
+  let result;
+
+  if (message.text) {
+    result = await sendMessage(conversation.userId, `${t(language, 'reply.from_admins')}\n\n${message.text}${hint}`, {}, env);
+  } else {
+    result = await copyMessage(conversation.userId, adminChatId, message.message_id, {}, env);
+    if (result.success) {
+      // Media copies keep their own caption, so send the hint separately
+      await sendMessage(conversation.userId, `${t(language, 'reply.from_admins_above')}${hint}`, {
+        reply_parameters: { message_id: result.messageId, allow_sending_without_reply: true }
+      }, env);
+    }
+  }
+
+  if (!result.success) {
+    await sendMessage(adminChatId, t(adminLanguage, 'reply.delivery_failed'), {
+      reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true }
+    }, env);
+    return true;
+  }
+
+  // Remember where the admin reply landed so the sender can answer it
+  try {
+    await env.KV.put(`${USER_MESSAGE_KEY_PREFIX}${conversation.userId}:${result.messageId}`, JSON.stringify({
+      conversationId: conversationId,
+      adminChatId: adminChatId,
+      adminMessageId: message.message_id,
+      language: language
+    }), {
+      expirationTtl: CONVERSATION_TTL
+    });
+  } catch (kvError) {
+    console.error('KV storage failure in relayAdminReply:', kvError.message);
+  }
+
+  return true;
+}
+
+/**
+ * Relays the sender's answer back to the admin chat
+ * Only handles messages that reply to a relayed admin message, and only from trusted users
+ * @param {Object} message - Telegram Message object from the private chat
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} True if the message was handled here (relayed or refused)
+ */
+export async function relayUserReply(message, env) {
+  const replyTo = message.reply_to_message;
+  if (!replyTo) {
+    return false;
+  }
+
+  const userId = message.from.id.toString();
+  const link = await env.KV.get(`${USER_MESSAGE_KEY_PREFIX}${userId}:${replyTo.message_id}`, { type: 'json' });
+  if (!link) {
+    return false;
+  }
+
+  // Answers go back to the chat the admin replied from (see routing.js)
+  const adminChatId = link.adminChatId;
+
+  const replyOptions = {
+    reply_parameters: { message_id: link.adminMessageId, allow_sending_without_reply: true }
+  };
+
+  const trust = await checkTrust(userId, env);
+
+  // The sender's language is remembered with the link; older links fall back to Telegram's
+  const language = resolveLanguage([link.language, trust.language, message.from.language_code], env);
+
+  // A revoked or lapsed user can't reach the admins through an old conversation
+  if (trust.status !== 'active') {
+    await sendMessage(message.chat.id, getInactiveMessage(trust, language), {}, env);
+    return true;
+  }
+
+  let result;
+  if (message.text) {
+    result = await sendMessage(adminChatId, `${t(getAdminLanguage(env), 'reply.from_author')}\n\n${message.text}`, replyOptions, env);
+  } else {
+    result = await copyMessage(adminChatId, message.chat.id, message.message_id, replyOptions, env);
+  }
+
+  if (!result.success) {
+    await sendMessage(message.chat.id, t(language, 'reply.send_failed'), {}, env);
+    return true;
+  }
+
+  await linkAdminMessages(adminChatId, [result.messageId], link.conversationId, env);
+  await sendMessage(message.chat.id, t(language, 'reply.sent'), {}, env);
+
+  return true;
+}
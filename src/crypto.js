@@ -0,0 +1,99 @@
+/**
+ * Crypto Helpers Module
+ * Random code generation and other primitives built on Web Crypto
+ */
+
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'; // 32 characters, no l/o/0/1 look-alikes
+
+/**
+ * Generates a random code that is safe to use in Telegram deeplinks
+ * @param {number} length - Code length (default: 16)
+ * @returns {string} Random code
+ */
+export function generateCode(length = 16) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  let code = '';
+
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+
+  return code;
+}
+
+/**
+ * Returns a uniformly distributed random integer in [min, max]
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (inclusive)
+ * @returns {number} Random integer
+ */
+export function randomInt(min, max) {
+  const range = max - min + 1;
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+
+  // Range sizes used here are tiny compared to 2^32, so modulo bias is negligible
+  return min + (value % range);
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates)
+ * @param {Array} items - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+export function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(0, i);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+
+  return items;
+}
+
+/**
+ * Compares two strings in constant time
+ * Both values are hashed first, so neither content nor length leaks through timing
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {Promise<boolean>} True if the strings are equal
+ */
+export async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [hashA, hashB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b))
+  ]);
+
+  const bytesA = new Uint8Array(hashA);
+  const bytesB = new Uint8Array(hashB);
+  let difference = 0;
+
+  for (let i = 0; i < bytesA.length; i++) {
+    difference |= bytesA[i] ^ bytesB[i];
+  }
+
+  return difference === 0;
+}
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Signs a string with HMAC-SHA-256
+ * Unlike a plain hash, the result can't be recomputed for guessed inputs without the secret
+ * @param {string} secret - Secret key
+ * @param {string} text - Text to sign
+ * @returns {Promise<string>} Hex-encoded signature
+ */
+export async function hmacSha256Hex(secret, text) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
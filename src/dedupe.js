@@ -0,0 +1,33 @@
+/**
+ * Update Deduplication Module
+ * Telegram re-sends an update when the webhook answers too slowly;
+ * processed update IDs are remembered briefly so repeats are skipped
+ */
+
+const UPDATE_KEY_PREFIX = 'update:';
+const UPDATE_TTL = 3600; // 1 hour in seconds, Telegram stops retrying well before that
+
+/**
+ * Marks an update as being processed
+ * KV is eventually consistent, so this stops retries that arrive seconds
+ * later, not two requests racing within the same moment
+ * @param {number} updateId - Telegram update_id
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} True if the update is new and should be processed
+ */
+export async function claimUpdate(updateId, env) {
+  const key = `${UPDATE_KEY_PREFIX}${updateId}`;
+
+  try {
+    if (await env.KV.get(key)) {
+      return false;
+    }
+
+    await env.KV.put(key, '1', { expirationTtl: UPDATE_TTL });
+  } catch (error) {
+    // Processing twice is better than dropping the update
+    console.error('Error checking update_id in KV:', error.message);
+  }
+
+  return true;
+}
@@ -3,55 +3,97 @@
  * Formats anonymous feedback messages for the admin group
  */
 
-/**
- * Maps category keys to their full Russian names
- */
-const CATEGORY_NAMES = {
-  'idea': 'Идея / предложение',
-  'problem': 'Проблема / жалоба',
-  'gratitude': 'Благодарность / признание'
-};
+import { DEFAULT_TAXONOMY, findItem, formatItemName, getItemLabel } from './taxonomy.js';
+import { t } from './i18n.js';
 
 /**
- * Maps category keys to their corresponding emojis
+ * Sentiment analysis results that have an admin badge ('sentiment.<result>')
  */
-const CATEGORY_EMOJIS = {
-  'idea': '💬',
-  'problem': '⚠️',
-  'gratitude': '❤️'
-};
+const SENTIMENTS = ['POSITIVE', 'NEGATIVE', 'NEUTRAL'];
 
 /**
- * Maps topic keys to their full Russian names
+ * Returns the admin badge for a sentiment analysis result
+ * @param {string|null} sentiment - Sentiment analysis result
+ * @param {string} language - Admin language
+ * @returns {string|null} Badge, or null for unknown results
  */
-const TOPIC_NAMES = {
-  'processes': 'Процессы',
-  'colleagues': 'Коллеги',
-  'conditions': 'Условия',
-  'salary': 'Зарплата',
-  'management': 'Менеджмент',
-  'other': 'Другое'
-};
+export function formatSentimentBadge(sentiment, language) {
+  return SENTIMENTS.includes(sentiment) ? t(language, `sentiment.${sentiment}`) : null;
+}
 
 /**
  * Formats an anonymous feedback message for the admin group
  * @param {Object} session - Session object containing message data
- * @param {string} session.category - Selected message category key (idea/problem/gratitude)
+ * @param {string} session.category - Selected message category key
  * @param {string} session.topic - Selected message topic key
  * @param {string} session.messageText - User's message text
+ * @param {string|null} session.sentiment - Sentiment analysis result (optional)
+ * @param {boolean} session.abusive - Whether the text was flagged as abusive (optional)
+ * @param {Object} taxonomy - Taxonomy used for category and topic names (see taxonomy.js)
+ * @param {number|null} ticketNumber - Ticket number to show in the header (optional)
+ * @param {string} language - Admin language
  * @returns {string} Formatted message for admin group
  */
-export function formatAdminMessage(session) {
-  const categoryName = CATEGORY_NAMES[session.category] || session.category;
-  const categoryEmoji = CATEGORY_EMOJIS[session.category] || '📩';
-  const topicName = TOPIC_NAMES[session.topic] || session.topic;
+export function formatAdminMessage(session, taxonomy = DEFAULT_TAXONOMY, ticketNumber = null, language) {
+  const category = findItem(taxonomy.categories, session.category);
+  const categoryName = category ? getItemLabel(category, language) : session.category;
+  const categoryEmoji = (category && category.emoji) || '📩';
+  const topicName = formatItemName(taxonomy.topics, session.topic, language);
 
-  const formattedMessage = `📩 Новое анонимное сообщение
+  // Sentiment badge is only shown when analysis succeeded
+  const badges = [];
+  const sentimentBadge = formatSentimentBadge(session.sentiment, language);
+  if (sentimentBadge) {
+    badges.push(sentimentBadge);
+  }
+  if (session.abusive) {
+    badges.push(t(language, 'post.abusive'));
+  }
+  const badgeLine = badges.length > 0 ? `\n${t(language, 'post.tone', { badges: badges.join(', ') })}\n` : '';
 
-${categoryEmoji} ${categoryName} → ${topicName}
+  const formattedMessage = `${t(language, 'post.header', { number: ticketNumber })}
 
-Текст:
-${session.messageText || 'без сообщения'}`;
+${categoryEmoji} ${categoryName} → ${topicName}
+${badgeLine}
+${t(language, 'post.text')}
+${session.messageText || t(language, 'post.no_text')}`;
 
   return formattedMessage;
 }
+
+/**
+ * Extracts the author's text from an admin message made by formatAdminMessage,
+ * without the header, category, tone and ticket status lines
+ * @param {string} postText - Admin message text or caption
+ * @param {string} language - Admin language the message was formatted in
+ * @returns {string|null} Author's text, or null if it isn't a feedback message or has no text
+ */
+export function extractFeedbackText(postText, language) {
+  const label = `\n${t(language, 'post.text')}\n`;
+  const labelIndex = postText.indexOf(label);
+
+  if (labelIndex === -1) {
+    return null;
+  }
+
+  let text = postText.slice(labelIndex + label.length);
+  const markerIndex = text.lastIndexOf(`\n\n${t(language, 'ticket.status_marker')}`);
+  if (markerIndex !== -1) {
+    text = text.slice(0, markerIndex);
+  }
+
+  text = text.trim();
+  return text && text !== t(language, 'post.no_text') ? text : null;
+}
+
+/**
+ * Escapes text for Telegram HTML parse mode
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,95 @@
+/**
+ * Internationalization Module
+ * Looks up user-facing strings in the message catalogs (see locales/) and
+ * decides which language a user or the admin chat gets
+ */
+
+import { getConfig } from './config.js';
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+const CATALOGS = { ru, en };
+const FALLBACK_LANGUAGE = 'ru'; // The most complete catalog; missing keys fall back to it
+
+/**
+ * Languages with a message catalog
+ */
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGS);
+
+/**
+ * Reduces a Telegram language_code such as 'en-US' to a supported language
+ * @param {string|null|undefined} code - IETF language tag
+ * @returns {string|null} Supported language, or null if there is no catalog for it
+ */
+export function normalizeLanguage(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const language = code.trim().toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : null;
+}
+
+/**
+ * Picks the first supported language from the candidates, falling back to DEFAULT_LANGUAGE
+ * @param {string|null|Array<string|null|undefined>} codes - Candidates in order of preference,
+ *   e.g. the stored choice and then from.language_code
+ * @param {Object} env - Environment bindings
+ * @returns {string} Supported language
+ */
+export function resolveLanguage(codes, env) {
+  const candidates = [...(Array.isArray(codes) ? codes : [codes]), getConfig(env).defaultLanguage];
+
+  for (const code of candidates) {
+    const language = normalizeLanguage(code);
+    if (language) {
+      return language;
+    }
+  }
+
+  return FALLBACK_LANGUAGE;
+}
+
+/**
+ * Returns the language of admin chat output (ADMIN_LANGUAGE)
+ * @param {Object} env - Environment bindings
+ * @returns {string} Supported language
+ */
+export function getAdminLanguage(env) {
+  return resolveLanguage(getConfig(env).adminLanguage, env);
+}
+
+/**
+ * Returns the catalog of a language
+ * @param {string} language - Supported language
+ * @returns {Object} Catalog with messages and phrases
+ */
+export function getCatalog(language) {
+  return CATALOGS[language] || CATALOGS[FALLBACK_LANGUAGE];
+}
+
+/**
+ * Translates a message key
+ * Strings get {name} placeholders replaced; function entries (plurals,
+ * optional parts) are called with the params
+ * @param {string} language - Supported language
+ * @param {string} key - Message key, e.g. 'flow.choose_category'
+ * @param {Object} [params] - Values for placeholders
+ * @returns {string} Translated text, or the key itself if no catalog has it
+ */
+export function t(language, key, params = {}) {
+  const message = getCatalog(language).messages[key] ?? CATALOGS[FALLBACK_LANGUAGE].messages[key];
+
+  if (message === undefined) {
+    console.error('Missing translation:', language, key);
+    return key;
+  }
+
+  if (typeof message === 'function') {
+    return message(params);
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
@@ -0,0 +1,343 @@
+/**
+ * Ideas Module
+ * Publishes ideas selected by admins to all trusted users or a channel, collects
+ * one anonymous upvote per person and ranks the ideas for the admin chat
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { sendMessage, editMessageText, answerCallbackQuery, createInlineKeyboard } from './telegram.js';
+import { createBroadcastProgress, runBroadcastBatch } from './broadcast.js';
+import { generateCode, hmacSha256Hex } from './crypto.js';
+import { t, resolveLanguage, getAdminLanguage } from './i18n.js';
+
+const IDEA_KEY_PREFIX = 'idea:';
+const VOTE_KEY_PREFIX = 'idea_vote:';
+const IDEA_RETENTION = 15552000; // 180 days in seconds after publication, like tickets
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_TEXT_LENGTH = 150;
+
+export const MAX_IDEA_LENGTH = 3500; // Leaves room for the wrapper text within Telegram's 4096 limit
+
+/**
+ * Published idea schema definition
+ * Votes are separate KV keys (see handleIdeaVote); votes is their last known count
+ * @typedef {Object} Idea
+ * @property {string} id - Short code shown to admins
+ * @property {string} text - Published text
+ * @property {'users'|'channel'} target - Sent to every trusted user or posted in IDEAS_CHANNEL_ID
+ * @property {'sending'|'published'} status - Whether the broadcast to users is still running
+ * @property {number} votes - Number of upvotes
+ * @property {number} createdAt - Timestamp of publication
+ * @property {{chatId: string, messageId: number}|null} reportMessage - Report message in the admin chat
+ * @property {BroadcastProgress|null} broadcast - Delivery progress for 'users' (see broadcast.js)
+ */
+
+/**
+ * Returns the KV expiration shared by all keys of an idea
+ * @param {Idea} idea - Idea
+ * @returns {number} Expiration in seconds since epoch
+ */
+function getExpiration(idea) {
+  return Math.floor(idea.createdAt / 1000) + IDEA_RETENTION;
+}
+
+/**
+ * Retrieves an idea by ID
+ * @param {string} id - Idea ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Idea|null>}
+ */
+async function getIdea(id, env) {
+  return env.KV.get(`${IDEA_KEY_PREFIX}${id}`, { type: 'json' });
+}
+
+/**
+ * Stores an idea; status and votes are kept in metadata for the cron and the leaderboard
+ * @param {Idea} idea - Idea to store
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function saveIdea(idea, env) {
+  await env.KV.put(`${IDEA_KEY_PREFIX}${idea.id}`, JSON.stringify(idea), {
+    expiration: getExpiration(idea),
+    metadata: { status: idea.status, votes: idea.votes, createdAt: idea.createdAt }
+  });
+}
+
+/**
+ * Creates the upvote button
+ * @param {Idea} idea - Idea
+ * @param {number} count - Votes to show on the button
+ * @param {string} language - Language of the message
+ * @returns {Object} Inline keyboard markup
+ */
+function createVoteKeyboard(idea, count, language) {
+  return createInlineKeyboard([[{ text: t(language, 'idea.upvote', { count }), callback_data: `idea:${idea.id}` }]]);
+}
+
+/**
+ * Returns the language of a channel post: the channel has no per-user language
+ * @param {Object} env - Environment bindings
+ * @returns {string}
+ */
+function getChannelLanguage(env) {
+  return resolveLanguage(null, env);
+}
+
+/**
+ * Sends the next broadcast batch of an idea and updates the report
+ * @param {Idea} idea - Idea being sent to users
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Idea>} Updated idea
+ */
+async function sendNextBatch(idea, env) {
+  // Re-read the record so votes counted during the batch aren't lost
+  const saveProgress = async broadcast => {
+    const latest = (await getIdea(idea.id, env)) || idea;
+    const updated = { ...latest, broadcast, status: broadcast.done ? 'published' : 'sending' };
+    await saveIdea(updated, env);
+    return updated;
+  };
+
+  const broadcast = await runBroadcastBatch(idea.broadcast, user => {
+    const language = resolveLanguage(user.language, env);
+    return sendMessage(
+      user.userId,
+      t(language, 'idea.message', { text: idea.text }),
+      { reply_markup: createVoteKeyboard(idea, idea.votes, language) },
+      env
+    );
+  }, saveProgress, env);
+
+  const updated = await saveProgress(broadcast);
+
+  const language = getAdminLanguage(env);
+  const report = progress => t(language, 'idea.report', {
+    id: idea.id,
+    delivered: progress.sent,
+    blocked: progress.blocked,
+    failed: progress.failed,
+    sending: !progress.done
+  });
+
+  // Telegram rejects edits that change nothing
+  const reportText = report(broadcast);
+  if (updated.reportMessage && reportText !== report(idea.broadcast)) {
+    const { chatId, messageId } = updated.reportMessage;
+    await editMessageText(chatId, messageId, reportText, {}, env);
+  }
+
+  return updated;
+}
+
+/**
+ * Publishes an idea and reports it in the admin chat
+ * Users get it in batches, the remaining ones on the following cron runs
+ * @param {{text: string, target: 'users'|'channel', replyTo: number|null}} publication - Text, target
+ *   and the admin chat message the report replies to
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, idea?: Idea, error?: string}>}
+ */
+export async function publishIdea({ text, target, replyTo }, env) {
+  const config = getConfig(env);
+  const adminChatId = getAdminChatId(config);
+  const language = getAdminLanguage(env);
+  const replyOptions = replyTo
+    ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } }
+    : {};
+
+  const idea = {
+    id: generateCode(6),
+    text,
+    target,
+    status: target === 'users' ? 'sending' : 'published',
+    votes: 0,
+    createdAt: Date.now(),
+    reportMessage: null,
+    broadcast: target === 'users' ? createBroadcastProgress() : null
+  };
+
+  if (target === 'channel') {
+    const channelLanguage = getChannelLanguage(env);
+    const postResult = await sendMessage(
+      config.ideasChannelId,
+      t(channelLanguage, 'idea.message', { text }),
+      { reply_markup: createVoteKeyboard(idea, 0, channelLanguage) },
+      env
+    );
+
+    if (!postResult.success) {
+      return { success: false, error: postResult.error };
+    }
+
+    await saveIdea(idea, env);
+    await sendMessage(adminChatId, t(language, 'idea.published_channel', { id: idea.id }), replyOptions, env);
+
+    return { success: true, idea };
+  }
+
+  const reportResult = await sendMessage(adminChatId, t(language, 'idea.report', {
+    id: idea.id,
+    delivered: 0,
+    blocked: 0,
+    failed: 0,
+    sending: true
+  }), replyOptions, env);
+  if (reportResult.success) {
+    idea.reportMessage = { chatId: adminChatId, messageId: reportResult.messageId };
+  }
+
+  await saveIdea(idea, env);
+
+  return { success: true, idea: await sendNextBatch(idea, env) };
+}
+
+/**
+ * Sends the next batch of every idea still being sent to users
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{sent: number, published: number}>}
+ */
+export async function processIdeas(env) {
+  const stats = { sent: 0, published: 0 };
+  const ids = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: IDEA_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      if (key.metadata && key.metadata.status === 'sending') {
+        ids.push(key.name.slice(IDEA_KEY_PREFIX.length));
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  for (const id of ids) {
+    const idea = await getIdea(id, env);
+    if (!idea || idea.status !== 'sending') {
+      continue;
+    }
+
+    const sentBefore = idea.broadcast.sent;
+    const updated = await sendNextBatch(idea, env);
+    stats.sent += updated.broadcast.sent - sentBefore;
+    if (updated.status === 'published') {
+      stats.published++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Formats the leaderboard of published ideas, most votes first
+ * Only the top ideas are read in full; the ranking comes from KV metadata
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<string>}
+ */
+export async function formatIdeaLeaderboard(env) {
+  const language = getAdminLanguage(env);
+  const entries = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: IDEA_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      const metadata = key.metadata || {};
+      entries.push({
+        id: key.name.slice(IDEA_KEY_PREFIX.length),
+        votes: metadata.votes || 0,
+        createdAt: metadata.createdAt || 0
+      });
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  if (entries.length === 0) {
+    return t(language, 'admin.ideas.empty');
+  }
+
+  // Newer ideas first among equal votes: they had less time to collect them
+  entries.sort((a, b) => b.votes - a.votes || b.createdAt - a.createdAt);
+
+  const lines = [];
+  for (const entry of entries.slice(0, LEADERBOARD_SIZE)) {
+    const idea = await getIdea(entry.id, env);
+    if (!idea) {
+      continue;
+    }
+
+    const text = idea.text.length > LEADERBOARD_TEXT_LENGTH
+      ? `${idea.text.slice(0, LEADERBOARD_TEXT_LENGTH)}…`
+      : idea.text;
+
+    lines.push(t(language, 'admin.ideas.item', {
+      rank: lines.length + 1,
+      votes: idea.votes,
+      id: idea.id,
+      date: new Date(idea.createdAt).toISOString().slice(0, 10),
+      text
+    }));
+  }
+
+  return `${t(language, 'admin.ideas.header')}\n${lines.join('\n\n')}`;
+}
+
+/**
+ * Handles an upvote button click in a private chat or the ideas channel
+ * Only an HMAC of the idea and the user ID is stored, without the time of the vote,
+ * so admins see the total and nothing else
+ * @param {Object} callbackQuery - Telegram CallbackQuery object with 'idea:<id>' data
+ * @param {string} language - Voter's language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function handleIdeaVote(callbackQuery, language, env) {
+  const [, id] = callbackQuery.data.split(':');
+  const idea = await getIdea(id, env);
+
+  if (!idea) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'idea.not_found'), env);
+    return;
+  }
+
+  // KV is eventually consistent, so two clicks in quick succession may both be counted
+  const voterHash = await hmacSha256Hex(getConfig(env).voterSalt, `${idea.id}:${callbackQuery.from.id}`);
+  const voteKey = `${VOTE_KEY_PREFIX}${idea.id}:${voterHash}`;
+  if (await env.KV.get(voteKey)) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'idea.already_voted'), env);
+    return;
+  }
+
+  await env.KV.put(voteKey, '1', { expiration: getExpiration(idea) });
+
+  // A fresh key may be missing from the list for a while, so the count never goes below the previous one plus this vote
+  let listed = 0;
+  let cursor;
+  do {
+    const listResult = await env.KV.list({ prefix: `${VOTE_KEY_PREFIX}${idea.id}:`, cursor: cursor });
+    listed += listResult.keys.length;
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  const latest = (await getIdea(idea.id, env)) || idea;
+  const updated = { ...latest, votes: Math.max(listed, latest.votes + 1) };
+  await saveIdea(updated, env);
+
+  await answerCallbackQuery(callbackQuery.id, t(language, 'idea.voted'), env);
+
+  // Show the new count on the clicked message; a channel post is shared by everyone
+  const message = callbackQuery.message;
+  const buttonLanguage = idea.target === 'channel' ? getChannelLanguage(env) : language;
+  await editMessageText(
+    message.chat.id,
+    message.message_id,
+    message.text,
+    { reply_markup: createVoteKeyboard(updated, updated.votes, buttonLanguage) },
+    env
+  );
+}
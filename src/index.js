@@ -3,12 +3,53 @@
  * Handles incoming Telegram webhooks and routes commands
  */
 
-import { validateEnv, getConfig } from './config.js';
-import { activateUser, isTrustedUser, revokeAllAccess } from './auth.js';
-import { sendMessage, createInlineKeyboard, answerCallbackQuery, sendPhoto, sendVideo, sendDocument, sendMediaGroup, editMessageText, deleteMessage } from './telegram.js';
-import { getSession, updateSession, clearSession } from './session.js';
+import { validateEnv, getConfig, getAdminChatId, isAdminChat } from './config.js';
+import { activateUser, checkTrust, getInactiveMessage, setUserLanguage } from './auth.js';
+import { sendMessage, createInlineKeyboard, answerCallbackQuery, editMessageText, deleteMessage } from './telegram.js';
+import { getSession, updateSession, clearSession, appendToDraft, MAX_MEDIA_ITEMS } from './session.js';
 import { formatAdminMessage } from './formatter.js';
+import { getTaxonomy, getEnabledItems, findItem, formatItemName } from './taxonomy.js';
+import { resolveDestinations } from './routing.js';
+import { enqueueDelivery, processDeliveryQueue } from './queue.js';
+import { recordDelivery } from './stats.js';
+import { registerBotCommands } from './commands.js';
+import { runAccessRevocation, runMaintenance, formatMaintenanceReport, reportToAdmins } from './maintenance.js';
 import { getRandomPhrase } from './phrases.js';
+import { processMessageForSentiment, restoreConfirmation } from './confirmation.js';
+import { collectMediaGroupItem } from './media-group.js';
+
+import { createConversation, linkAdminMessages, relayAdminReply, relayUserReply } from './conversations.js';
+import { routeAdminCommand, parseCommand } from './admin.js';
+import {
+    createTicket,
+    saveTicket,
+    createTicketKeyboard,
+    withTicketStatus,
+    handleTicketCallback,
+    createTicketReceipt,
+    getTicketByReceipt,
+    formatReceiptStatus
+} from './tickets.js';
+import { processSurveys, handleSurveyCallback } from './surveys.js';
+import { processAnnouncements } from './announcements.js';
+import { processIdeas, handleIdeaVote } from './ideas.js';
+import { timingSafeEqual } from './crypto.js';
+import { claimUpdate } from './dedupe.js';
+import { recordSubmission } from './ratelimit.js';
+import { addToDraft, checkDraftLimits } from './compose.js';
+import { extractMediaItem, canCarryCaption, sendMediaItems } from './media.js';
+import { t, getCatalog, normalizeLanguage, resolveLanguage, getAdminLanguage, SUPPORTED_LANGUAGES } from './i18n.js';
+
+const MAX_UPDATE_SIZE = 1048576; // 1 MB
+const MAINTENANCE_CRON = '0 6 * * *'; // Must match the daily entry in wrangler.toml [triggers]
+const MAX_CAPTION_LENGTH = 1024; // Telegram's caption limit; longer posts are sent as a thread
+const SENDING_TIMEOUT_MS = 120000; // A send still running after 2 minutes was cut off and may be retried
+
+// Configuration warnings are logged once per isolate instead of on every request
+let envWarningsLogged = false;
+
+// Durable Object classes must be exported from the main module
+export { MediaGroupCollector } from './media-group.js';
 
 /**
  * Main Cloudflare Workers fetch handler
@@ -26,13 +67,6 @@ export default {
                 return new Response('Method not allowed', { status: 405 });
             }
 
-            // Validate Content-Type
-            const contentType = request.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-                console.error('Invalid Content-Type:', contentType);
-                return new Response('OK', { status: 200 }); // Return 200 to prevent Telegram retries
-            }
-
             // Validate required environment variables
             const validation = validateEnv(env);
             if (!validation.valid) {
@@ -40,16 +74,30 @@ export default {
                 return new Response('Configuration error', { status: 500 });
             }
 
-            // Handle REVOKE_ALL_ACCESS if enabled
+            if (!envWarningsLogged) {
+                validation.warnings.forEach(warning => console.warn(warning));
+                envWarningsLogged = true;
+            }
+
+            // Reject requests that don't carry the webhook secret before touching KV
             const config = getConfig(env);
-            if (config.revokeAllAccess) {
-                console.log('REVOKE_ALL_ACCESS is enabled, revoking all user access...');
-                try {
-                    await revokeAllAccess(env);
-                } catch (revokeError) {
-                    console.error('Error revoking access:', revokeError);
-                    // Continue processing even if revoke fails
-                }
+            if (!(await isAuthorizedWebhook(request, config))) {
+                console.error('Rejected webhook request with invalid secret token');
+                return new Response('Unauthorized', { status: 401 });
+            }
+
+            // Reject oversized bodies; real Telegram updates are a few kilobytes
+            const contentLength = parseInt(request.headers.get('content-length'), 10);
+            if (contentLength > MAX_UPDATE_SIZE) {
+                console.error('Webhook body too large:', contentLength);
+                return new Response('Payload too large', { status: 413 });
+            }
+
+            // Validate Content-Type
+            const contentType = request.headers.get('content-type');
+            if (!contentType || !contentType.includes('application/json')) {
+                console.error('Invalid Content-Type:', contentType);
+                return new Response('OK', { status: 200 }); // Return 200 to prevent Telegram retries
             }
 
             // Parse webhook update
@@ -61,6 +109,11 @@ export default {
                 return new Response('OK', { status: 200 }); // Return 200 to prevent Telegram retries
             }
 
+            if (!update || typeof update !== 'object' || !Number.isInteger(update.update_id)) {
+                console.error('Ignoring malformed webhook update');
+                return new Response('OK', { status: 200 });
+            }
+
             // Process the webhook
             await handleWebhook(update, env);
 
@@ -72,9 +125,141 @@ export default {
             // Always return 200 to Telegram even on errors to prevent retries
             return new Response('OK', { status: 200 });
         }
+    },
+
+    /**
+     * Cloudflare Workers cron handler
+     * Runs periodic jobs configured by [triggers] in wrangler.toml
+     * @param {Object} event - Scheduled event (cron, scheduledTime)
+     * @param {Object} env - Environment bindings
+     * @param {Object} ctx - Execution context
+     * @returns {Promise<void>}
+     */
+    async scheduled(event, env, ctx) {
+        const validation = validateEnv(env);
+        if (!validation.valid) {
+            console.error('Missing required environment variables:', validation.missing);
+            return;
+        }
+
+        if (event.cron === MAINTENANCE_CRON) {
+            ctx.waitUntil(runDailyMaintenance(env));
+        } else {
+            ctx.waitUntil(runScheduledJobs(env));
+        }
     }
 };
 
+/**
+ * Checks the X-Telegram-Bot-Api-Secret-Token header against WEBHOOK_SECRET
+ * Requests are accepted without a check only when no secret is configured
+ * @param {Request} request - Incoming HTTP request
+ * @param {Object} config - Configuration object from getConfig
+ * @returns {Promise<boolean>} True if the request may be processed
+ */
+async function isAuthorizedWebhook(request, config) {
+    if (!config.webhookSecret) {
+        return true;
+    }
+
+    const secretHeader = request.headers.get('x-telegram-bot-api-secret-token');
+    if (!secretHeader) {
+        return false;
+    }
+
+    return timingSafeEqual(secretHeader, config.webhookSecret);
+}
+
+/**
+ * Runs all periodic jobs
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function runScheduledJobs(env) {
+    try {
+        // REVOKE_ALL_ACCESS is checked on every run so an emergency revocation isn't delayed
+        const revocation = await runAccessRevocation(env);
+        if (revocation) {
+            await reportToAdmins(t(getAdminLanguage(env), 'maintenance.revoked_all', { count: revocation.revokedCount }), env);
+        }
+    } catch (error) {
+        console.error('Error revoking access:', error.message, error.stack);
+    }
+
+    try {
+        // Keep the Telegram command menu in sync after deployments
+        await registerBotCommands(env);
+    } catch (error) {
+        console.error('Error registering bot commands:', error.message, error.stack);
+    }
+
+    try {
+        const stats = await processDeliveryQueue(
+            env,
+            entry => deliverQueuedMessage(entry, env),
+            entry => notifyQueuedMessageDropped(entry, env)
+        );
+
+        if (stats.delivered || stats.failed || stats.dropped) {
+            console.log('Delivery queue processed:', JSON.stringify(stats));
+        }
+    } catch (error) {
+        console.error('Error processing delivery queue:', error.message, error.stack);
+    }
+
+    try {
+        // Surveys go out in batches and close at their deadline
+        const stats = await processSurveys(env);
+
+        if (stats.sent || stats.closed) {
+            console.log('Surveys processed:', JSON.stringify(stats));
+        }
+    } catch (error) {
+        console.error('Error processing surveys:', error.message, error.stack);
+    }
+
+    try {
+        // Announcements go out in batches too
+        const stats = await processAnnouncements(env);
+
+        if (stats.delivered || stats.blocked || stats.failed || stats.finished) {
+            console.log('Announcements processed:', JSON.stringify(stats));
+        }
+    } catch (error) {
+        console.error('Error processing announcements:', error.message, error.stack);
+    }
+
+    try {
+        // Published ideas go out to users in batches as well
+        const stats = await processIdeas(env);
+
+        if (stats.sent || stats.published) {
+            console.log('Ideas processed:', JSON.stringify(stats));
+        }
+    } catch (error) {
+        console.error('Error processing ideas:', error.message, error.stack);
+    }
+}
+
+/**
+ * Runs the daily maintenance jobs and reports the results to the admin chat
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function runDailyMaintenance(env) {
+    try {
+        const report = await runMaintenance(env);
+        console.log('Maintenance finished:', JSON.stringify(report));
+
+        const text = formatMaintenanceReport(report, getAdminLanguage(env));
+        if (text) {
+            await reportToAdmins(text, env);
+        }
+    } catch (error) {
+        console.error('Error running maintenance:', error.message, error.stack);
+    }
+}
+
 /**
  * Processes Telegram update object and routes to appropriate handler
  * @param {Object} update - Telegram Update object
@@ -89,17 +274,38 @@ async function handleWebhook(update, env) {
             return;
         }
 
+        // Skip updates Telegram re-sent because an earlier attempt was slow
+        if (!(await claimUpdate(update.update_id, env))) {
+            console.log('Skipping duplicate update:', update.update_id);
+            return;
+        }
+
         // Handle regular messages
         if (update.message) {
             const message = update.message;
 
             try {
-                // Check if this is a command
-                if (message.text && message.text.startsWith('/')) {
+                if (message.chat && isAdminChat(message.chat.id, getConfig(env))) {
+                    // Admin chat: commands go to the admin router, replies are relayed anonymously
+                    if (message.text && message.text.startsWith('/')) {
+                        await routeAdminCommand(message, env);
+                    } else {
+                        await relayAdminReply(message, env);
+                    }
+                } else if (message.chat && message.chat.type && message.chat.type !== 'private') {
+                    // Routed destination chats only support anonymous replies
+                    await relayAdminReply(message, env);
+                } else if (message.text && message.text.startsWith('/')) {
+                    // Check if this is a command
                     await routeCommand(message, env);
                 } else {
-                    // Handle regular messages (text and media)
-                    await handleMessage(message, env);
+                    // Answers to relayed admin replies go back to the admin chat
+                    const relayed = await relayUserReply(message, env);
+
+                    if (!relayed) {
+                        // Handle regular messages (text and media)
+                        await handleMessage(message, env);
+                    }
                 }
             } catch (messageError) {
                 console.error('Error handling message:', messageError.message, messageError.stack);
@@ -108,7 +314,7 @@ async function handleWebhook(update, env) {
                     if (message.chat && message.chat.id) {
                         await sendMessage(
                             message.chat.id,
-                            'Произошла ошибка. Пожалуйста, попробуйте позже.',
+                            t(getErrorLanguage(message.chat.id, message.from, env), 'common.error'),
                             {},
                             env
                         );
@@ -128,9 +334,10 @@ async function handleWebhook(update, env) {
                 // Try to answer callback query with error
                 try {
                     if (update.callback_query.id) {
+                        const chat = update.callback_query.message && update.callback_query.message.chat;
                         await answerCallbackQuery(
                             update.callback_query.id,
-                            'Произошла ошибка',
+                            t(getErrorLanguage(chat && chat.id, update.callback_query.from, env), 'common.error_short'),
                             env
                         );
                     }
@@ -146,6 +353,22 @@ async function handleWebhook(update, env) {
     }
 }
 
+/**
+ * Picks the language of an error notice: the admin language in the admin chat,
+ * otherwise the sender's Telegram language
+ * @param {number|string|undefined} chatId - Chat the error happened in
+ * @param {Object|undefined} from - Telegram User object of the sender
+ * @param {Object} env - Environment bindings
+ * @returns {string} Supported language
+ */
+function getErrorLanguage(chatId, from, env) {
+    if (chatId && isAdminChat(chatId, getConfig(env))) {
+        return getAdminLanguage(env);
+    }
+
+    return resolveLanguage(from && from.language_code, env);
+}
+
 /**
  * Routes and handles bot commands
  * @param {Object} message - Telegram Message object
@@ -159,71 +382,102 @@ async function routeCommand(message, env) {
         const text = message.text;
 
         // Parse command and arguments
-        const parts = text.split(' ');
-        const command = parts[0];
-        const args = parts.slice(1);
+        const { command, args } = parseCommand(text);
 
         // Handle /start command
         if (command === '/start') {
             // Check if token is provided
             if (args.length > 0) {
                 const token = args[0];
+                const language = resolveLanguage(message.from.language_code, env);
 
                 // Attempt to activate user with provided token
-                const result = await activateUser(userId, token, env);
+                const result = await activateUser(userId, token, language, env);
 
                 await sendMessage(chatId, result.message, {}, env);
 
                 // If activation was successful, show welcome message and category selection
                 if (result.success) {
-                    const welcomeMessage =
-                        'Добро пожаловать! 👋\n\n' +
-                        'Этот бот позволяет отправлять анонимные сообщения руководству.\n\n' +
-                        'Выберите категорию вашего сообщения:';
-
-                    // Send category selection keyboard and save message ID
-                    const flowMessageId = await sendCategorySelection(chatId, welcomeMessage, env);
-
-                    // Create session with category step and flow message ID
-                    await updateSession(userId, { step: 'category', flowMessageId: flowMessageId }, env);
+                    await startNewMessage(userId, chatId, t(language, 'start.welcome'), language, env);
                 }
             } else {
                 // No token provided - check if user is already trusted
-                const trusted = await isTrustedUser(userId, env);
+                const trust = await checkTrust(userId, env);
+                const language = resolveLanguage([trust.language, message.from.language_code], env);
 
-                if (trusted) {
+                if (trust.status === 'active') {
                     // User is already activated, show welcome message and category selection
-                    const welcomeMessage =
-                        'Добро пожаловать! 👋\n\n' +
-                        'Этот бот позволяет отправлять анонимные сообщения руководству.\n\n' +
-                        'Выберите категорию вашего сообщения:';
+                    await startNewMessage(userId, chatId, t(language, 'start.welcome'), language, env);
+                } else {
+                    // Not trusted and no token - explain a lapse or send the neutral message
+                    await sendMessage(chatId, getInactiveMessage(trust, language), {}, env);
+                }
+            }
+            return;
+        }
+
+        // Anyone holding the receipt code may look the ticket up, trusted or not; it isn't tied to the user
+        if (command === '/status') {
+            const trust = await checkTrust(userId, env);
+            const language = resolveLanguage([trust.language, message.from.language_code], env);
+
+            if (args.length === 0) {
+                await sendMessage(chatId, t(language, 'status.usage'), {}, env);
+                return;
+            }
+
+            const ticket = await getTicketByReceipt(args[0], env);
+            const statusMessage = ticket ? formatReceiptStatus(ticket, language) : t(language, 'status.not_found');
+            await sendMessage(chatId, statusMessage, {}, env);
+            return;
+        }
+
+        // Every other command is only available to trusted users
+        const trust = await checkTrust(userId, env);
+        const language = resolveLanguage([trust.language, message.from.language_code], env);
+        if (trust.status !== 'active') {
+            await sendMessage(chatId, getInactiveMessage(trust, language), {}, env);
+            return;
+        }
+
+        switch (command) {
+            case '/new':
+                // Drop any unfinished draft and start over
+                await clearSession(userId, env);
+                await startNewMessage(userId, chatId, t(language, 'flow.choose_category'), language, env);
+                break;
+
+            case '/cancel': {
+                const session = await getSession(userId, env);
+                await clearSession(userId, env);
+
+                const cancelMessage = t(language, session ? 'draft.cancelled' : 'draft.nothing_to_cancel');
+                await sendMessage(chatId, cancelMessage, {}, env);
+                break;
+            }
+
+            case '/help':
+                await sendMessage(chatId, t(language, 'help.text'), {}, env);
+                break;
 
-                    // Send category selection keyboard and save message ID
-                    const flowMessageId = await sendCategorySelection(chatId, welcomeMessage, env);
+            case '/privacy':
+                await sendMessage(chatId, t(language, 'privacy.text'), {}, env);
+                break;
 
-                    // Create session with category step and flow message ID
-                    await updateSession(userId, { step: 'category', flowMessageId: flowMessageId }, env);
+            case '/language': {
+                const requested = args.length > 0 ? normalizeLanguage(args[0]) : null;
+
+                if (requested) {
+                    await changeLanguage(userId, chatId, requested, env);
                 } else {
-                    // Not trusted and no token - send neutral message
-                    await sendMessage(chatId, 'Привет! Этот бот пока не активен.', {}, env);
+                    await sendLanguageSelection(chatId, language, env);
                 }
+                break;
             }
-        } else {
-            // Unknown command - check if user is trusted
-            const trusted = await isTrustedUser(userId, env);
 
-            if (!trusted) {
-                // Not trusted - send neutral message
-                await sendMessage(chatId, 'Привет! Этот бот пока не активен.', {}, env);
-            } else {
+            default:
                 // Trusted user with unknown command
-                await sendMessage(
-                    chatId,
-                    'Неизвестная команда. Просто напишите сообщение, чтобы начать.',
-                    {},
-                    env
-                );
-            }
+                await sendMessage(chatId, t(language, 'commands.unknown'), {}, env);
         }
 
     } catch (error) {
@@ -234,7 +488,7 @@ async function routeCommand(message, env) {
             if (message && message.chat && message.chat.id) {
                 await sendMessage(
                     message.chat.id,
-                    'Произошла ошибка. Пожалуйста, попробуйте позже.',
+                    t(resolveLanguage(message.from && message.from.language_code, env), 'common.error'),
                     {},
                     env
                 );
@@ -257,30 +511,91 @@ async function routeCallbackQuery(callbackQuery, env) {
         const chatId = callbackQuery.message.chat.id;
         const data = callbackQuery.data;
 
+        // Handle ticket status buttons in the admin chat and routed destination chats
+        if (data.startsWith('ticket:')) {
+            await handleTicketCallback(callbackQuery, env);
+            return;
+        }
+
+        // Nothing else is clickable outside private chats, except upvotes in the ideas channel
+        const chatType = callbackQuery.message.chat.type;
+        const isPrivate = !chatType || chatType === 'private';
+        const isIdeaVote = data.startsWith('idea:');
+        if ((!isPrivate && !isIdeaVote) || isAdminChat(chatId, getConfig(env))) {
+            await answerCallbackQuery(callbackQuery.id, t(getAdminLanguage(env), 'common.unknown_action'), env);
+            return;
+        }
+
         // Check if user is trusted
-        const trusted = await isTrustedUser(userId, env);
-        if (!trusted) {
-            await answerCallbackQuery(callbackQuery.id, 'Доступ запрещён', env);
+        const trust = await checkTrust(userId, env);
+        let language = resolveLanguage([trust.language, callbackQuery.from.language_code], env);
+        if (trust.status !== 'active') {
+            await answerCallbackQuery(
+                callbackQuery.id,
+                t(language, trust.status === 'lapsed' ? 'auth.access_lapsed' : 'auth.access_denied'),
+                env
+            );
+            if (trust.status === 'lapsed' && isPrivate) {
+                await sendMessage(chatId, getInactiveMessage(trust, language), {}, env);
+            }
+            return;
+        }
+
+        // Handle idea upvotes, which are independent of the draft
+        if (isIdeaVote) {
+            await handleIdeaVote(callbackQuery, language, env);
+            return;
+        }
+
+        // Handle the language buttons of /language, which work without a draft
+        if (data.startsWith('language:')) {
+            const requested = normalizeLanguage(data.replace('language:', ''));
+            if (!requested) {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'common.unknown_action'), env);
+                return;
+            }
+
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await changeLanguage(userId, chatId, requested, env, callbackQuery.message.message_id);
+            return;
+        }
+
+        // Handle survey answers, which are independent of the draft
+        if (data.startsWith('survey:')) {
+            await handleSurveyCallback(callbackQuery, language, env);
             return;
         }
 
         // Get current session
         const session = await getSession(userId, env);
         if (!session) {
-            await answerCallbackQuery(callbackQuery.id, 'Сессия истекла. Начните заново с /start', env);
+            await answerCallbackQuery(callbackQuery.id, t(language, 'common.session_expired'), env);
             return;
         }
 
+        // The draft keeps the language it was started in
+        language = resolveLanguage([session.language, language], env);
+
         // Handle category selection
         if (data.startsWith('category:')) {
             const category = data.replace('category:', '');
-            
-            // Map category to display name
-            const categoryNames = {
-                'idea': '💬 Идея / предложение',
-                'problem': '⚠️ Проблема / жалоба',
-                'gratitude': '❤️ Благодарность / признание'
-            };
+            const taxonomy = await getTaxonomy(env);
+
+            // Only accept categories that are currently offered
+            const categoryItem = findItem(taxonomy.categories, category);
+            if (!categoryItem || !categoryItem.enabled) {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'flow.category_unavailable'), env);
+                await sendCategorySelection(chatId, t(language, 'flow.choose_category'), language, env, callbackQuery.message.message_id);
+                return;
+            }
+
+            // A category changed from the confirmation goes straight back to it
+            if (session.step === 'edit_category') {
+                const editedSession = await updateSession(userId, { category: category }, env);
+                await answerCallbackQuery(callbackQuery.id, '', env);
+                await processMessageForSentiment(userId, chatId, editedSession, env, callbackQuery.message.message_id);
+                return;
+            }
 
             // Update session with selected category and move to topic step
             await updateSession(userId, {
@@ -293,8 +608,10 @@ async function routeCallbackQuery(callbackQuery, env) {
             await answerCallbackQuery(callbackQuery.id, '', env);
 
             // Edit the message to show selected category and topic selection
-            const selectedMessage = `Выбрана категория: ${categoryNames[category] || category}`;
-            await sendTopicSelection(chatId, selectedMessage, env, callbackQuery.message.message_id);
+            const selectedMessage = t(language, 'flow.category_selected', {
+                category: formatItemName(taxonomy.categories, category, language)
+            });
+            await sendTopicSelection(chatId, selectedMessage, language, env, callbackQuery.message.message_id);
             
             return;
         }
@@ -302,23 +619,26 @@ async function routeCallbackQuery(callbackQuery, env) {
         // Handle topic selection
         if (data.startsWith('topic:')) {
             const topic = data.replace('topic:', '');
-            
-            // Map topic to display name
-            const topicNames = {
-                'processes': 'Процессы',
-                'colleagues': 'Коллеги',
-                'conditions': 'Условия',
-                'salary': 'Зарплата',
-                'management': 'Менеджмент',
-                'other': 'Другое'
-            };
-            
-            // Map category to display name
-            const categoryNames = {
-                'idea': '💬 Идея / предложение',
-                'problem': '⚠️ Проблема / жалоба',
-                'gratitude': '❤️ Благодарность / признание'
-            };
+            const taxonomy = await getTaxonomy(env);
+
+            // Only accept topics that are currently offered
+            const topicItem = findItem(taxonomy.topics, topic);
+            if (!topicItem || !topicItem.enabled) {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'flow.topic_unavailable'), env);
+                const categoryMessage = t(language, 'flow.category_selected', {
+                    category: formatItemName(taxonomy.categories, session.category, language)
+                });
+                await sendTopicSelection(chatId, categoryMessage, language, env, callbackQuery.message.message_id);
+                return;
+            }
+
+            // A topic changed from the confirmation goes straight back to it
+            if (session.step === 'edit_topic') {
+                const editedSession = await updateSession(userId, { topic: topic }, env);
+                await answerCallbackQuery(callbackQuery.id, '', env);
+                await processMessageForSentiment(userId, chatId, editedSession, env, callbackQuery.message.message_id);
+                return;
+            }
 
             // Update session with selected topic and move to message step
             await updateSession(userId, {
@@ -330,42 +650,59 @@ async function routeCallbackQuery(callbackQuery, env) {
             await answerCallbackQuery(callbackQuery.id, '', env);
 
             // Edit the message to show complete selection
-            const categoryName = categoryNames[session.category] || session.category;
-            const topicName = topicNames[topic] || topic;
-            const finalMessage = 
-                `Выбрана категория: ${categoryName}\n` +
-                `Выбрана тема: ${topicName}\n\n` +
-                `✍️ Отлично! Теперь напишите ваше сообщение.\n\n` +
-                `Вы можете отправить текст, фото, видео или документ или все вместе, но в одном сообщении.`;
+            const categoryName = formatItemName(taxonomy.categories, session.category, language);
+            const topicName = formatItemName(taxonomy.topics, topic, language);
+            const finalMessage =
+                `${t(language, 'flow.category_selected', { category: categoryName })}\n` +
+                `${t(language, 'flow.topic_selected', { topic: topicName })}\n\n` +
+                t(language, 'flow.write_message');
 
             await editMessageText(chatId, callbackQuery.message.message_id, finalMessage, {}, env);
             return;
         }
 
-        // Handle confirmation actions (send, rewrite, cancel)
-        if (data.startsWith('confirm:')) {
-            const action = data.replace('confirm:', '');
-
-            if (action === 'rewrite') {
-                // User wants to rewrite the message
-                await updateSession(userId, {
-                    step: 'message',
-                    messageText: null,
-                    mediaItems: [],
-                    mediaGroupId: null,
-                    waitingForMediaGroup: false,
-                    sentiment: null
-                }, env);
+        // Handle "Готово" in compose mode: the draft is complete, show the confirmation
+        if (data === 'compose:done') {
+            if (session.step !== 'message') {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'common.stale_action'), env);
+                return;
+            }
 
-                await answerCallbackQuery(callbackQuery.id, '', env);
+            if (!session.messageText && (!session.mediaItems || session.mediaItems.length === 0)) {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'compose.empty'), env);
+                return;
+            }
 
-                // Edit the message to remove buttons
-                const editedMessage = '✏️ Сообщение отменено. Напишите новое сообщение.';
-                await editMessageText(chatId, callbackQuery.message.message_id, editedMessage, {}, env);
+            const doneSession = await updateSession(userId, { composeMessageId: null }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await processMessageForSentiment(userId, chatId, doneSession, env, callbackQuery.message.message_id, true);
+            return;
+        }
 
+        // Handle "send anyway" after the sentiment review warning
+        if (data === 'review:proceed') {
+            if (session.step !== 'sentiment_review') {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'common.stale_action'), env);
                 return;
             }
 
+            const reviewedSession = await updateSession(userId, { sentimentReviewed: true }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await processMessageForSentiment(userId, chatId, reviewedSession, env, callbackQuery.message.message_id);
+            return;
+        }
+
+        // Handle draft editing from the confirmation (confirm:rewrite is kept for older messages)
+        if (data.startsWith('edit:') || data === 'confirm:rewrite') {
+            const action = data === 'confirm:rewrite' ? 'text' : data.replace('edit:', '');
+            await handleDraftEdit(callbackQuery, session, action, language, env);
+            return;
+        }
+
+        // Handle confirmation actions (send, cancel)
+        if (data.startsWith('confirm:')) {
+            const action = data.replace('confirm:', '');
+
             if (action === 'cancel') {
                 // User wants to cancel and start over
                 await updateSession(userId, {
@@ -375,20 +712,26 @@ async function routeCallbackQuery(callbackQuery, env) {
                     messageText: null,
                     mediaItems: [],
                     mediaGroupId: null,
+                    albumBase: null,
+                    composeMessageId: null,
                     waitingForMediaGroup: false,
-                    sentiment: null
+                    sentiment: null,
+                    abusive: false,
+                    sentimentChecked: false,
+                    sentimentReviewed: false
                 }, env);
 
                 await answerCallbackQuery(callbackQuery.id, '', env);
 
                 // Edit the message to remove buttons
-                const editedMessage = '❌ Сообщение отменено.';
+                const editedMessage = t(language, 'flow.cancelled');
                 await editMessageText(chatId, callbackQuery.message.message_id, editedMessage, {}, env);
 
                 // Send new category selection and save message ID
                 const flowMessageId = await sendCategorySelection(
                     chatId,
-                    'Начнём заново. Выберите категорию вашего сообщения:',
+                    t(language, 'flow.restart'),
+                    language,
                     env
                 );
                 
@@ -398,19 +741,33 @@ async function routeCallbackQuery(callbackQuery, env) {
             }
 
             if (action === 'send') {
+                // A confirmed session is delivered only once, even if the button is clicked twice,
+                // unless the previous attempt was cut off without restoring the confirmation
+                const sendingExpired = session.step === 'sending' && Date.now() - (session.sendingAt || 0) > SENDING_TIMEOUT_MS;
+                if (session.step !== 'confirm' && !sendingExpired) {
+                    await answerCallbackQuery(callbackQuery.id, t(language, 'send.in_progress'), env);
+                    return;
+                }
+                await updateSession(userId, { step: 'sending', sendingAt: Date.now() }, env);
+
                 // User confirms sending the message
-                await answerCallbackQuery(callbackQuery.id, 'Отправка сообщения...', env);
+                await answerCallbackQuery(callbackQuery.id, t(language, 'send.started'), env);
 
                 // Edit the message to show sending status
                 const mediaCount = session.mediaItems ? session.mediaItems.length : 0;
-                const mediaText = mediaCount > 0 ? ` (${mediaCount} файл${mediaCount > 1 ? (mediaCount > 4 ? 'ов' : 'а') : ''})` : '';
-                const sendingMessage = `📤 Отправка сообщения${mediaText}...`;
+                const sendingMessage = t(language, 'send.sending', { count: mediaCount });
                 await editMessageText(chatId, callbackQuery.message.message_id, sendingMessage, {}, env);
 
                 // Get fresh session to ensure we have all media items
                 const freshSession = await getSession(userId, env);
                 if (!freshSession) {
-                    await editMessageText(chatId, callbackQuery.message.message_id, '❌ Сессия истекла. Начните заново с /start', {}, env);
+                    await editMessageText(chatId, callbackQuery.message.message_id, `❌ ${t(language, 'common.session_expired')}`, {}, env);
+                    return;
+                }
+
+                // Hold the message in the delivery queue if delayed delivery is enabled
+                if (getConfig(env).deliveryMode !== 'immediate') {
+                    await queueMessageForDelivery(userId, chatId, freshSession, env, callbackQuery.message.message_id);
                     return;
                 }
 
@@ -421,7 +778,7 @@ async function routeCallbackQuery(callbackQuery, env) {
         }
 
         // Unknown callback data
-        await answerCallbackQuery(callbackQuery.id, 'Неизвестное действие', env);
+        await answerCallbackQuery(callbackQuery.id, t(language, 'common.unknown_action'), env);
 
     } catch (error) {
         console.error('Error in routeCallbackQuery:', error.message, error.stack);
@@ -429,7 +786,8 @@ async function routeCallbackQuery(callbackQuery, env) {
         // Send user-friendly error message
         try {
             if (callbackQuery && callbackQuery.id) {
-                await answerCallbackQuery(callbackQuery.id, 'Произошла ошибка', env);
+                const language = resolveLanguage(callbackQuery.from && callbackQuery.from.language_code, env);
+                await answerCallbackQuery(callbackQuery.id, t(language, 'common.error_short'), env);
             }
         } catch (answerError) {
             console.error('Failed to answer callback query:', answerError.message);
@@ -448,10 +806,11 @@ async function handleMessage(message, env) {
         const userId = message.from.id.toString();
         const chatId = message.chat.id;
 
-        // Check if user is trusted
-        const trusted = await isTrustedUser(userId, env);
-        if (!trusted) {
-            await sendMessage(chatId, 'Привет! Этот бот пока не активен.', {}, env);
+        // Check if user is trusted; activity renews the trust
+        const trust = await checkTrust(userId, env);
+        let language = resolveLanguage([trust.language, message.from.language_code], env);
+        if (trust.status !== 'active') {
+            await sendMessage(chatId, getInactiveMessage(trust, language), {}, env);
             return;
         }
 
@@ -460,94 +819,40 @@ async function handleMessage(message, env) {
         if (!session) {
             await sendMessage(
                 chatId,
-                'Сессия истекла. Начните заново с /start',
+                t(language, 'common.session_expired'),
                 {},
                 env
             );
             return;
         }
 
-        // Get existing session to check for pending media group
-        const existingSession = session;
+        // The draft keeps the language it was started in
+        language = resolveLanguage([session.language, language], env);
 
         // Extract text from message
-        let messageText = message.text || message.caption || '';
+        const messageText = message.text || message.caption || '';
 
         // Extract media information
-        let mediaItems = [];
-
-        if (message.photo && message.photo.length > 0) {
-            // Get the largest photo (last in array)
-            mediaItems.push({
-                type: 'photo',
-                fileId: message.photo[message.photo.length - 1].file_id
-            });
-        } else if (message.video) {
-            mediaItems.push({
-                type: 'video',
-                fileId: message.video.file_id
-            });
-        } else if (message.document) {
-            mediaItems.push({
-                type: 'document',
-                fileId: message.document.file_id
-            });
-        }
+        const mediaItem = extractMediaItem(message);
+        const mediaItems = mediaItem ? [mediaItem] : [];
 
         // Check if this is part of a media group
         const mediaGroupId = message.media_group_id;
 
         if (mediaGroupId) {
-            // This is part of a media group - collect all messages
-            // Allow processing even if step is 'confirm' (for subsequent media group items)
-            if (existingSession && existingSession.mediaGroupId === mediaGroupId) {
-                // Add this media to the existing collection
-                const existingMedia = existingSession.mediaItems || [];
-                mediaItems = [...existingMedia, ...mediaItems];
-
-                // Update text if this message has caption and previous didn't
-                if (messageText && !existingSession.messageText) {
-                    messageText = messageText;
-                } else if (existingSession.messageText) {
-                    messageText = existingSession.messageText;
-                }
-            }
-
-            // Store the media group with all collected items
-            await updateSession(userId, {
-                messageText: messageText,
-                mediaItems: mediaItems,
-                mediaGroupId: mediaGroupId,
-                step: 'message', // Keep step as message so we can process it
-                lastMediaTimestamp: Date.now() // Track when last media was received
-            }, env);
-
-            console.log('Media group item processed. Total count:', mediaItems.length);
-
-            // For media groups, wait to collect all items before showing confirmation
-            // This prevents race conditions and multiple confirmation messages
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            // Get the latest session after the delay
-            const latestSession = await getSession(userId, env);
-
-            // Only process if:
-            // 1. This is still the same media group
-            // 2. No new media has been added in the last second (meaning collection is complete)
-            if (latestSession &&
-                latestSession.mediaGroupId === mediaGroupId &&
-                Date.now() - latestSession.lastMediaTimestamp >= 1000) {
-
-                console.log('Processing completed media group with', latestSession.mediaItems.length, 'items');
-
-                // Get the confirmMessageId to edit existing message
-                const confirmMessageId = latestSession.confirmMessageId || null;
-
-                await processMessageForSentiment(userId, chatId, latestSession, env, confirmMessageId);
-            } else {
-                console.log('Skipping - more media items are being collected');
+            // Album items are buffered by the user's collector, which shows the confirmation once
+            try {
+                await collectMediaGroupItem(userId, chatId, message, mediaItems[0] || null, language, env);
+            } catch (collectError) {
+                console.error('Error collecting media group item:', collectError.message, collectError.stack);
+                await sendMessage(chatId, t(language, 'flow.album_failed'), {}, env);
             }
+            return;
+        }
 
+        // Draft edits started from the confirmation replace the text or add attachments
+        if (session.step === 'edit_text' || session.step === 'add_media') {
+            await handleDraftEditMessage(userId, chatId, session, messageText, mediaItems, language, env);
             return;
         }
 
@@ -555,7 +860,7 @@ async function handleMessage(message, env) {
         if (session.step !== 'message') {
             await sendMessage(
                 chatId,
-                'Пожалуйста, следуйте инструкциям. Используйте /start для начала.',
+                t(language, 'common.follow_instructions'),
                 {},
                 env
             );
@@ -566,23 +871,15 @@ async function handleMessage(message, env) {
         if (!messageText && mediaItems.length === 0) {
             await sendMessage(
                 chatId,
-                'Пожалуйста, отправьте текстовое сообщение или медиафайл.',
+                t(language, 'common.send_text_or_media'),
                 {},
                 env
             );
             return;
         }
 
-        // Store message text and media in session
-        const updatedSession = await updateSession(userId, {
-            messageText: messageText,
-            mediaItems: mediaItems,
-            mediaGroupId: null,
-            waitingForMediaGroup: false
-        }, env);
-
-        // Process the message for sentiment analysis and confirmation
-        await processMessageForSentiment(userId, chatId, updatedSession, env);
+        // Messages are added to the draft until the user presses "Готово"
+        await addToDraft(userId, chatId, session, messageText, mediaItems, env);
 
     } catch (error) {
         console.error('Error in handleMessage:', error.message, error.stack);
@@ -592,7 +889,7 @@ async function handleMessage(message, env) {
             if (message && message.chat && message.chat.id) {
                 await sendMessage(
                     message.chat.id,
-                    'Произошла ошибка. Пожалуйста, попробуйте позже.',
+                    t(resolveLanguage(message.from && message.from.language_code, env), 'common.error'),
                     {},
                     env
                 );
@@ -604,83 +901,132 @@ async function handleMessage(message, env) {
 }
 
 /**
- * Processes message for sentiment analysis and shows confirmation
- * @param {string} userId - User ID
- * @param {number|string} chatId - User's chat ID
+ * Handles the draft editing buttons of the confirmation
+ * Each edit returns to the matching step and keeps the rest of the draft
+ * @param {Object} callbackQuery - Telegram CallbackQuery object
  * @param {Object} session - User's session object
+ * @param {string} action - 'text' | 'category' | 'topic' | 'add_media' | 'clear_media'
+ * @param {string} language - User's language
  * @param {Object} env - Environment bindings
- * @param {string|null} messageId - Message ID to edit (for media groups)
  * @returns {Promise<void>}
  */
-async function processMessageForSentiment(userId, chatId, session, env, messageId = null) {
-    try {
-        const messageText = session.messageText;
+async function handleDraftEdit(callbackQuery, session, action, language, env) {
+    const userId = callbackQuery.from.id.toString();
+    const chatId = callbackQuery.message.chat.id;
+    const messageId = callbackQuery.message.message_id;
+
+    if (session.step !== 'confirm' && session.step !== 'sentiment_review') {
+        await answerCallbackQuery(callbackQuery.id, t(language, 'common.stale_action'), env);
+        return;
+    }
 
-        // Proceed directly to confirmation (no sentiment analysis)
-        const mediaCount = session.mediaItems ? session.mediaItems.length : 0;
-        const mediaText = mediaCount > 0 ? ` (${mediaCount} файл${mediaCount > 1 ? 'а' : ''})` : '';
+    const mediaCount = session.mediaItems ? session.mediaItems.length : 0;
 
-        const confirmMessage =
-            `✅ Ваше сообщение готово к отправке${mediaText}.\n\n` +
-            'Нажмите "Отправить" для подтверждения или "Отменить" для начала заново.';
+    switch (action) {
+        case 'text':
+            await updateSession(userId, { step: 'edit_text' }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await editMessageText(chatId, messageId, t(language, 'edit.text_prompt', { hasMedia: mediaCount > 0 }), {}, env);
+            return;
 
-        const keyboard = createInlineKeyboard([
-            [{ text: 'Отправить', callback_data: 'confirm:send' }],
-            [{ text: 'Отменить', callback_data: 'confirm:cancel' }]
-        ]);
+        case 'category':
+            await updateSession(userId, { step: 'edit_category' }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await sendCategorySelection(chatId, t(language, 'edit.choose_category'), language, env, messageId);
+            return;
 
-        // If we have a messageId (from previous confirmation), edit it instead of sending new
-        if (messageId) {
-                console.log('Editing existing confirmation message:', messageId);
-                try {
-                    const editResult = await editMessageText(chatId, messageId, confirmMessage, { reply_markup: keyboard }, env);
-                    console.log('Edit result:', editResult.success);
-                } catch (editError) {
-                    console.error('Error editing message:', editError.message);
-                    // If edit fails, send new message
-                    const result = await sendMessage(chatId, confirmMessage, { reply_markup: keyboard }, env);
-
-                    // Store the new message ID
-                    if (result.success && result.data && result.data.message_id) {
-                        try {
-                            await updateSession(userId, {
-                                confirmMessageId: result.data.message_id
-                            }, env);
-                        } catch (sessionError) {
-                            console.error('Error storing confirmation message ID:', sessionError.message);
-                        }
-                    }
+        case 'topic': {
+            const taxonomy = await getTaxonomy(env);
+            await updateSession(userId, { step: 'edit_topic' }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            const categoryMessage = t(language, 'edit.category', {
+                category: formatItemName(taxonomy.categories, session.category, language)
+            });
+            await sendTopicSelection(chatId, categoryMessage, language, env, messageId);
+            return;
+        }
+
+        case 'add_media':
+            if (mediaCount >= MAX_MEDIA_ITEMS) {
+                await answerCallbackQuery(callbackQuery.id, t(language, 'edit.media_limit', { max: MAX_MEDIA_ITEMS }), env);
+                return;
             }
-        } else {
-            console.log('Sending new confirmation message');
-            const result = await sendMessage(chatId, confirmMessage, { reply_markup: keyboard }, env);
 
-            // Store the message ID for potential future edits
-            if (result.success && result.data && result.data.message_id) {
-                console.log('Storing confirmation message ID:', result.data.message_id);
-                try {
-                    await updateSession(userId, {
-                        confirmMessageId: result.data.message_id
-                    }, env);
-                } catch (sessionError) {
-                    console.error('Error storing confirmation message ID:', sessionError.message);
-                }
+            await updateSession(userId, { step: 'add_media' }, env);
+            await answerCallbackQuery(callbackQuery.id, '', env);
+            await editMessageText(
+                chatId,
+                messageId,
+                t(language, 'edit.add_media_prompt', { remaining: MAX_MEDIA_ITEMS - mediaCount }),
+                {},
+                env
+            );
+            return;
+
+        case 'clear_media': {
+            const clearedSession = await updateSession(userId, { mediaItems: [], mediaGroupId: null, albumBase: null }, env);
+            await answerCallbackQuery(callbackQuery.id, t(language, 'edit.media_cleared'), env);
+
+            // A draft needs text or attachments, so ask for text if nothing is left
+            if (!clearedSession.messageText) {
+                await updateSession(userId, { step: 'edit_text' }, env);
+                await editMessageText(chatId, messageId, t(language, 'edit.media_cleared_need_text'), {}, env);
+                return;
             }
+
+            await processMessageForSentiment(userId, chatId, clearedSession, env, messageId);
+            return;
         }
 
-        // Update session step to confirm
-        try {
-            await updateSession(userId, {
-                step: 'confirm'
-            }, env);
-        } catch (sessionError) {
-            console.error('Error updating session step:', sessionError.message);
-            // Continue processing
+        default:
+            await answerCallbackQuery(callbackQuery.id, t(language, 'common.unknown_action'), env);
+    }
+}
+
+/**
+ * Applies a message sent while editing the draft: new text, or attachments to add
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - User's session object (step 'edit_text' or 'add_media')
+ * @param {string} messageText - Text or caption of the message
+ * @param {Array<MediaItem>} mediaItems - Media of the message
+ * @param {string} language - User's language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function handleDraftEditMessage(userId, chatId, session, messageText, mediaItems, language, env) {
+    let updates;
+
+    if (session.step === 'edit_text') {
+        if (!messageText || mediaItems.length > 0) {
+            await sendMessage(chatId, t(language, 'edit.text_only'), {}, env);
+            return;
         }
-    } catch (error) {
-        console.error('Error in processMessageForSentiment:', error.message, error.stack);
-        throw error; // Re-throw to be handled by caller
+
+        updates = { messageText: messageText };
+    } else {
+        if (mediaItems.length === 0) {
+            await sendMessage(chatId, t(language, 'edit.media_only'), {}, env);
+            return;
+        }
+
+        updates = { ...appendToDraft(session, messageText, mediaItems), mediaGroupId: null, albumBase: null };
+    }
+
+    const limitError = checkDraftLimits({ ...session, ...updates }, language);
+    if (limitError) {
+        await sendMessage(chatId, limitError, {}, env);
+        return;
     }
+
+    // Changed text needs a new sentiment check
+    if (updates.messageText !== session.messageText) {
+        updates.sentimentChecked = false;
+        updates.sentimentReviewed = false;
+    }
+
+    const updatedSession = await updateSession(userId, { ...updates, step: 'message' }, env);
+    await processMessageForSentiment(userId, chatId, updatedSession, env);
 }
 
 /**
@@ -693,142 +1039,432 @@ async function processMessageForSentiment(userId, chatId, session, env, messageI
  * @returns {Promise<void>}
  */
 async function forwardMessageToAdmin(userId, chatId, session, env, confirmMessageId = null) {
+    const language = resolveLanguage(session.language, env);
+
     try {
-        const config = getConfig(env);
+        // Deliver to the admin chat(s)
+        const ticket = await deliverFeedback(userId, session, env);
+        await recordSubmission(userId, session, env);
 
-        // Determine which admin chat ID to use based on TEST_MODE
-        const adminChatId = config.testMode && config.adminChatIdTest
-            ? config.adminChatIdTest
-            : config.adminChatId;
+        // The receipt code is only shown here and never stored in a readable form
+        const receipt = ticket ? await createTicketReceipt(ticket, env) : null;
 
-        // Format the message using formatAdminMessage
-        const formattedMessage = formatAdminMessage(session);
+        // Message sent successfully
+        const successMessage = t(language, 'send.success', {
+            number: ticket ? ticket.number : null,
+            phrase: getRandomPhrase(language),
+            receipt: receipt
+        });
 
-        // Send the message to admin group
-        let sendResult;
+        // If we have a confirmMessageId, edit it to show success
+        if (confirmMessageId) {
+            await editMessageText(chatId, confirmMessageId, successMessage, {}, env);
+        } else {
+            // Otherwise send a new message
+            await sendMessage(chatId, successMessage, {}, env);
+        }
 
-        const mediaItems = session.mediaItems || [];
+        // Clear the session after successful message delivery
+        await clearSession(userId, env);
 
-        // Log media items for debugging
-        console.log('Forwarding message with media items:', JSON.stringify({
-            count: mediaItems.length,
-            items: mediaItems
-        }));
+    } catch (error) {
+        console.error('Error forwarding message to admin:', error.message, error.stack);
 
-        if (mediaItems.length > 1) {
-            // Multiple media files - use sendMediaGroup
-            // Add caption to the first media item
-            const mediaGroup = mediaItems.map((item, index) => ({
-                type: item.type,
-                media: item.fileId,
-                // Add formatted message as caption to first item
-                caption: index === 0 ? formattedMessage : undefined
-            }));
+        // Give the draft back to the user with the confirmation buttons
+        try {
+            await restoreConfirmation(userId, chatId, session, env, confirmMessageId);
+        } catch (sendError) {
+            console.error('Failed to send error message to user:', sendError.message);
+        }
+    }
+}
 
-            sendResult = await sendMediaGroup(adminChatId, mediaGroup, env);
+/**
+ * Puts a confirmed message into the delivery queue instead of sending it now
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - User's session object
+ * @param {Object} env - Environment bindings
+ * @param {number} confirmMessageId - Message ID to edit after queueing (optional)
+ * @returns {Promise<void>}
+ */
+async function queueMessageForDelivery(userId, chatId, session, env, confirmMessageId = null) {
+    const language = resolveLanguage(session.language, env);
 
-        } else if (mediaItems.length === 1) {
-            // Single media file - send with formatted message as caption
-            const media = mediaItems[0];
+    try {
+        const { releaseAt } = await enqueueDelivery(userId, chatId, session, env);
+        await recordSubmission(userId, session, env);
 
-            if (media.type === 'photo') {
-                sendResult = await sendPhoto(adminChatId, media.fileId, formattedMessage, {}, env);
-            } else if (media.type === 'video') {
-                sendResult = await sendVideo(adminChatId, media.fileId, formattedMessage, {}, env);
-            } else if (media.type === 'document') {
-                sendResult = await sendDocument(adminChatId, media.fileId, formattedMessage, {}, env);
-            }
+        const queuedMessage = t(language, 'queue.accepted', {
+            delay: formatDelay(releaseAt - Date.now(), language),
+            phrase: getRandomPhrase(language)
+        });
 
+        if (confirmMessageId) {
+            await editMessageText(chatId, confirmMessageId, queuedMessage, {}, env);
         } else {
-            // No media, just send the formatted text message
-            sendResult = await sendMessage(adminChatId, formattedMessage, {}, env);
+            await sendMessage(chatId, queuedMessage, {}, env);
         }
 
-        // Check if message was sent successfully
+        // The queue keeps its own copy, so the draft can be cleared now
+        await clearSession(userId, env);
+
+    } catch (error) {
+        console.error('Error queueing message:', error.message, error.stack);
+
+        await restoreConfirmation(userId, chatId, session, env, confirmMessageId);
+    }
+}
+
+/**
+ * Formats a delay as hours and minutes
+ * @param {number} ms - Delay in milliseconds
+ * @param {string} language - User's language
+ * @returns {string} Human-readable delay, e.g. "1 ч 20 мин"
+ */
+function formatDelay(ms, language) {
+    const totalMinutes = Math.max(1, Math.round(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) {
+        return t(language, 'time.minutes', { minutes });
+    }
+
+    return t(language, minutes > 0 ? 'time.hours_minutes' : 'time.hours', { hours, minutes });
+}
+
+/**
+ * Delivers one entry from the delivery queue and notifies the author
+ * @param {Object} entry - Queue entry from queue.js
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ * @throws {Error} If delivery failed, so the entry is retried
+ */
+async function deliverQueuedMessage(entry, env) {
+    const ticket = await deliverFeedback(entry.userId, entry.session, env);
+
+    const language = resolveLanguage(entry.session.language, env);
+    const receipt = ticket ? await createTicketReceipt(ticket, env) : null;
+    await sendMessage(entry.chatId, t(language, 'queue.delivered', { number: ticket ? ticket.number : null, receipt: receipt }), {}, env);
+}
+
+/**
+ * Tells the author that a queued message could not be delivered
+ * @param {Object} entry - Queue entry from queue.js
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function notifyQueuedMessageDropped(entry, env) {
+    await sendMessage(
+        entry.chatId,
+        t(resolveLanguage(entry.session && entry.session.language, env), 'queue.dropped'),
+        {},
+        env
+    );
+}
+
+/**
+ * Delivers a confirmed message to every destination chat
+ * Creates the ticket and anonymous conversation on the way
+ * @param {string} userId - User ID
+ * @param {Object} session - Confirmed session object
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Object|null>} Created ticket, or null if ticket creation failed
+ * @throws {Error} If no destination received the message
+ */
+async function deliverFeedback(userId, session, env) {
+    const config = getConfig(env);
+
+    // Determine every destination chat for this category/topic
+    const destinations = await resolveDestinations(session, env);
+
+    // Create an anonymous conversation and a ticket for status tracking
+    let conversationId = null;
+    let ticket = null;
+    try {
+        conversationId = await createConversation(userId, resolveLanguage(session.language, env), env);
+        ticket = await createTicket(env);
+        ticket.conversationId = conversationId;
+    } catch (ticketError) {
+        console.error('Error creating ticket:', ticketError.message);
+        // Non-critical error, deliver the feedback without a ticket
+    }
+
+    // Format the message using formatAdminMessage
+    const taxonomy = await getTaxonomy(env);
+    const formattedMessage = formatAdminMessage(session, taxonomy, ticket ? ticket.number : null, getAdminLanguage(env));
+
+    // Deliver to every destination, collecting failures instead of stopping at the first one
+    const failures = [];
+    for (const destination of destinations) {
+        const sendResult = await sendToDestination(destination, session, formattedMessage, ticket, env);
+
         if (!sendResult.success) {
-            throw new Error(`Failed to send message to admin: ${sendResult.error}`);
+            failures.push({ destination, error: sendResult.error });
+            continue;
         }
 
-        // Message sent successfully
-        const inspirationalPhrase = getRandomPhrase();
-        
-        // If we have a confirmMessageId, edit it to show success
-        if (confirmMessageId) {
-            const successMessage = `✅ Сообщение отправлено!\n\n${inspirationalPhrase}`;
-            await editMessageText(chatId, confirmMessageId, successMessage, {}, env);
-        } else {
-            // Otherwise send a new message
-            await sendMessage(chatId, inspirationalPhrase, {}, env);
+        // Link the admin message(s) to the anonymous conversation so admins can reply
+        if (conversationId) {
+            await linkAdminMessages(destination.chatId, sendResult.messageIds, conversationId, env);
         }
 
-        // Log message to KV if TEST_MODE is enabled
-        if (config.testMode) {
-            try {
-                const timestamp = Date.now();
-                const logKey = `test_log:${timestamp}`;
-                const logData = {
-                    timestamp: timestamp,
-                    userId: userId,
-                    category: session.category,
-                    topic: session.topic,
-                    messageText: session.messageText,
-                    mediaItems: session.mediaItems,
-                    sentiment: session.sentiment,
-                    adminChatId: adminChatId
-                };
-
-                // Store log with 30 day TTL
-                await env.KV.put(logKey, JSON.stringify(logData), {
-                    expirationTtl: 2592000 // 30 days in seconds
-                });
+        if (ticket) {
+            ticket.messages.push(...sendResult.controlMessages);
+        }
+    }
 
-                console.log('Message logged to KV:', logKey);
-            } catch (logError) {
-                console.error('Error logging message to KV:', logError);
-                // Non-critical error, continue processing
-            }
+    // Check if message was sent successfully to at least one destination
+    if (failures.length === destinations.length) {
+        throw new Error(`Failed to send message to admin: ${failures.map(failure => failure.error).join('; ')}`);
+    }
+
+    if (ticket) {
+        try {
+            await saveTicket(ticket, env);
+        } catch (ticketError) {
+            console.error('Error saving ticket:', ticketError.message);
         }
+    }
 
-        // Clear the session after successful message delivery
-        await clearSession(userId, env);
+    // Count the message in the aggregate statistics
+    await recordDelivery(session, env);
 
-    } catch (error) {
-        console.error('Error forwarding message to admin:', error.message, error.stack);
+    // Report partial failures to the main admin chat
+    if (failures.length > 0) {
+        await reportDeliveryFailures(failures, ticket, env);
+    }
 
-        // Send error message to user
+    // Log message to KV if TEST_MODE is enabled
+    if (config.testMode) {
         try {
-            const errorMessage = 'Произошла ошибка при отправке сообщения. Пожалуйста, попробуйте позже.';
-            
-            if (confirmMessageId) {
-                await editMessageText(chatId, confirmMessageId, `❌ ${errorMessage}`, {}, env);
-            } else {
-                await sendMessage(
-                    chatId,
-                    errorMessage,
-                    {},
-                    env
-                );
+            const timestamp = Date.now();
+            const logKey = `test_log:${timestamp}`;
+            const logData = {
+                timestamp: timestamp,
+                userId: userId,
+                category: session.category,
+                topic: session.topic,
+                messageText: session.messageText,
+                mediaItems: session.mediaItems,
+                sentiment: session.sentiment,
+                adminChatId: getAdminChatId(config)
+            };
+
+            // Store log with 30 day TTL
+            await env.KV.put(logKey, JSON.stringify(logData), {
+                expirationTtl: 2592000 // 30 days in seconds
+            });
+
+            console.log('Message logged to KV:', logKey);
+        } catch (logError) {
+            console.error('Error logging message to KV:', logError);
+            // Non-critical error, continue processing
+        }
+    }
+
+    return ticket;
+}
+
+/**
+ * Sends a formatted feedback message to one destination chat
+ * Attachments carry the post as caption when they go out as one message and the post
+ * fits; otherwise the post is sent first and the attachments follow as replies,
+ * so one submission is always one thread
+ * @param {{chatId: string, threadId: number|null, controls: boolean}} destination - Destination from resolveDestinations
+ * @param {Object} session - User's session object
+ * @param {string} formattedMessage - Message from formatAdminMessage
+ * @param {Object|null} ticket - Ticket to attach status buttons for (optional)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageIds?: Array<number>, controlMessages?: Array<{chatId: string, messageId: number}>, error?: string}>}
+ */
+async function sendToDestination(destination, session, formattedMessage, ticket, env) {
+    const chatId = destination.chatId;
+    const language = getAdminLanguage(env);
+    const withControls = Boolean(ticket) && destination.controls;
+    const text = withControls ? withTicketStatus(formattedMessage, ticket, language) : formattedMessage;
+
+    const threadOptions = destination.threadId ? { message_thread_id: destination.threadId } : {};
+    const options = withControls
+        ? { ...threadOptions, reply_markup: createTicketKeyboard(ticket.number, language) }
+        : threadOptions;
+
+    const mediaItems = session.mediaItems || [];
+
+    if (mediaItems.length === 0 || !canCarryCaption(mediaItems) || text.length > MAX_CAPTION_LENGTH) {
+        const textResult = await sendMessage(chatId, text, options, env);
+        if (!textResult.success) {
+            return textResult;
+        }
+
+        const messageIds = [textResult.messageId];
+
+        if (mediaItems.length > 0) {
+            const replyOptions = {
+                ...threadOptions,
+                reply_parameters: { message_id: textResult.messageId, allow_sending_without_reply: true }
+            };
+            const mediaResult = await sendMediaItems(chatId, mediaItems, '', replyOptions, env);
+
+            messageIds.push(...mediaResult.messageIds);
+
+            if (!mediaResult.success) {
+                // The post itself is delivered, so admins are told about the missing attachments instead
+                console.error('Error sending attachments:', mediaResult.error);
+                await sendMessage(chatId, t(language, 'delivery.attachments_failed'), replyOptions, env);
             }
-        } catch (sendError) {
-            console.error('Failed to send error message to user:', sendError.message);
         }
+
+        return {
+            success: true,
+            messageIds,
+            controlMessages: withControls ? [{ chatId, messageId: textResult.messageId }] : []
+        };
+    }
+
+    if (mediaItems.length === 1) {
+        // Single media file - send with formatted message as caption
+        const sendResult = await sendMediaItems(chatId, mediaItems, text, options, env);
+        if (!sendResult.success) {
+            return sendResult;
+        }
+
+        return {
+            success: true,
+            messageIds: sendResult.messageIds,
+            controlMessages: withControls ? [{ chatId, messageId: sendResult.messageIds[0] }] : []
+        };
+    }
+
+    // An album with the formatted message as caption of the first item
+    const sendResult = await sendMediaItems(chatId, mediaItems, text, threadOptions, env);
+    if (!sendResult.success) {
+        return sendResult;
+    }
+
+    // Albums can't carry inline buttons, so post the ticket controls as a reply
+    const controlMessages = [];
+    if (withControls) {
+        const controlResult = await sendMessage(
+            chatId,
+            withTicketStatus(t(language, 'ticket.controls', { number: ticket.number }), ticket, language),
+            {
+                ...options,
+                reply_parameters: { message_id: sendResult.messageIds[0], allow_sending_without_reply: true }
+            },
+            env
+        );
+
+        if (controlResult.success) {
+            sendResult.messageIds.push(controlResult.messageId);
+            controlMessages.push({ chatId, messageId: controlResult.messageId });
+        }
+    }
+
+    return { success: true, messageIds: sendResult.messageIds, controlMessages };
+}
+
+/**
+ * Reports destinations that did not receive a message to the main admin chat
+ * @param {Array<{destination: Object, error: string}>} failures - Failed deliveries
+ * @param {Object|null} ticket - Ticket of the message (optional)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function reportDeliveryFailures(failures, ticket, env) {
+    const language = getAdminLanguage(env);
+    const lines = failures.map(({ destination, error }) => {
+        const thread = destination.threadId ? ` (${t(language, 'delivery.thread', { thread: destination.threadId })})` : '';
+        return `• ${destination.chatId}${thread}: ${error}`;
+    });
+
+    await sendMessage(
+        getAdminChatId(getConfig(env)),
+        t(language, 'delivery.partial_failure', { number: ticket ? ticket.number : null, lines: lines.join('\n') }),
+        {},
+        env
+    );
+}
+
+/**
+ * Starts a new message flow with the category selection keyboard
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} text - Message text to send with keyboard
+ * @param {string} language - User's language, kept in the session for the whole draft
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function startNewMessage(userId, chatId, text, language, env) {
+    // Send category selection keyboard and save message ID
+    const flowMessageId = await sendCategorySelection(chatId, text, language, env);
+
+    // Create session with category step and flow message ID
+    await updateSession(userId, { step: 'category', flowMessageId: flowMessageId, language: language }, env);
+}
+
+/**
+ * Switches the bot language of a user
+ * The choice is stored with the activation record and applies to the current draft too
+ * @param {string} userId - User ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {string} language - Supported language
+ * @param {Object} env - Environment bindings
+ * @param {number} messageId - Message with the language buttons to edit (optional)
+ * @returns {Promise<void>}
+ */
+async function changeLanguage(userId, chatId, language, env, messageId = null) {
+    await setUserLanguage(userId, language, env);
+
+    // updateSession would create a session, so only an existing draft is updated
+    if (await getSession(userId, env)) {
+        await updateSession(userId, { language: language }, env);
     }
+
+    const text = t(language, 'language.changed', { name: t(language, 'language.name') });
+
+    if (messageId) {
+        await editMessageText(chatId, messageId, text, {}, env);
+    } else {
+        await sendMessage(chatId, text, {}, env);
+    }
+}
+
+/**
+ * Sends the /language keyboard, one button per supported language
+ * @param {number|string} chatId - User's chat ID
+ * @param {string} language - User's current language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function sendLanguageSelection(chatId, language, env) {
+    const keyboard = createInlineKeyboard(
+        SUPPORTED_LANGUAGES.map(code => [
+            { text: getCatalog(code).messages['language.name'], callback_data: `language:${code}` }
+        ])
+    );
+
+    await sendMessage(chatId, t(language, 'language.prompt'), { reply_markup: keyboard }, env);
 }
 
 /**
  * Sends or updates category selection keyboard
  * @param {number|string} chatId - Telegram chat ID
  * @param {string} text - Message text to send with keyboard
+ * @param {string} language - User's language
  * @param {Object} env - Environment bindings
  * @param {number} messageId - Message ID to edit (optional)
  * @returns {Promise<number>} Message ID
  */
-async function sendCategorySelection(chatId, text, env, messageId = null) {
-    const keyboard = createInlineKeyboard([
-        [{ text: '💬 Идея / предложение', callback_data: 'category:idea' }],
-        [{ text: '⚠️ Проблема / жалоба', callback_data: 'category:problem' }],
-        [{ text: '❤️ Благодарность / признание', callback_data: 'category:gratitude' }]
-    ]);
+async function sendCategorySelection(chatId, text, language, env, messageId = null) {
+    const taxonomy = await getTaxonomy(env);
+
+    const keyboard = createInlineKeyboard(
+        getEnabledItems(taxonomy.categories).map(item => [
+            { text: formatItemName(taxonomy.categories, item.key, language), callback_data: `category:${item.key}` }
+        ])
+    );
 
     if (messageId) {
         await editMessageText(chatId, messageId, text, { reply_markup: keyboard }, env);
@@ -843,21 +1479,20 @@ async function sendCategorySelection(chatId, text, env, messageId = null) {
  * Sends or updates topic selection keyboard
  * @param {number|string} chatId - Telegram chat ID
  * @param {string} previousText - Previous message text to prepend
+ * @param {string} language - User's language
  * @param {Object} env - Environment bindings
  * @param {number} messageId - Message ID to edit (optional)
  * @returns {Promise<number>} Message ID
  */
-async function sendTopicSelection(chatId, previousText, env, messageId = null) {
-    const text = previousText + '\n\nВыберите тему вашего сообщения:';
-
-    const keyboard = createInlineKeyboard([
-        [{ text: 'Процессы', callback_data: 'topic:processes' }],
-        [{ text: 'Коллеги', callback_data: 'topic:colleagues' }],
-        [{ text: 'Условия', callback_data: 'topic:conditions' }],
-        [{ text: 'Зарплата', callback_data: 'topic:salary' }],
-        [{ text: 'Менеджмент', callback_data: 'topic:management' }],
-        [{ text: 'Другое', callback_data: 'topic:other' }]
-    ]);
+async function sendTopicSelection(chatId, previousText, language, env, messageId = null) {
+    const text = `${previousText}\n\n${t(language, 'flow.choose_topic')}`;
+    const taxonomy = await getTaxonomy(env);
+
+    const keyboard = createInlineKeyboard(
+        getEnabledItems(taxonomy.topics).map(item => [
+            { text: formatItemName(taxonomy.topics, item.key, language), callback_data: `topic:${item.key}` }
+        ])
+    );
 
     if (messageId) {
         await editMessageText(chatId, messageId, text, { reply_markup: keyboard }, env);
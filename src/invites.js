@@ -0,0 +1,157 @@
+/**
+ * Invite Codes Module
+ * Manages single-use or limited-use activation codes generated by admins
+ */
+
+import { generateCode } from './crypto.js';
+
+const INVITE_KEY_PREFIX = 'invite:';
+const DEFAULT_INVITE_TTL_DAYS = 7;
+const MAX_INVITE_TTL_DAYS = 365;
+const MAX_INVITES_PER_BATCH = 50;
+
+export const MAX_INVITE_LABEL_LENGTH = 100; // Keeps the invite within the 1024-byte KV metadata limit
+
+/**
+ * Invite schema definition
+ * Stored both as the value and as KV metadata, so listing needs no extra reads
+ * @typedef {Object} Invite
+ * @property {string} label - Free-form label, e.g. department name
+ * @property {number} maxUses - How many activations the code allows
+ * @property {number} uses - How many activations have been consumed
+ * @property {number} createdAt - Timestamp when the code was created
+ * @property {number} expiresAt - Timestamp when the code expires
+ */
+
+/**
+ * Stores an invite record in KV, keeping its original expiry
+ * @param {string} code - Invite code
+ * @param {Invite} invite - Invite record
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function saveInvite(code, invite, env) {
+  await env.KV.put(`${INVITE_KEY_PREFIX}${code}`, JSON.stringify(invite), {
+    expiration: Math.floor(invite.expiresAt / 1000),
+    metadata: invite
+  });
+}
+
+/**
+ * Creates a batch of invite codes
+ * @param {Object} options - Batch options
+ * @param {number} options.count - Number of codes to create
+ * @param {number} options.maxUses - Activations allowed per code
+ * @param {number} options.ttlDays - Days until the codes expire
+ * @param {string} options.label - Label stored with each code
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<string>>} Created codes
+ * @throws {RangeError} If an option is out of range
+ */
+export async function createInvites({ count = 1, maxUses = 1, ttlDays = DEFAULT_INVITE_TTL_DAYS, label = '' }, env) {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_INVITES_PER_BATCH) {
+    throw new RangeError(`count must be between 1 and ${MAX_INVITES_PER_BATCH}`);
+  }
+
+  if (!Number.isInteger(maxUses) || maxUses < 1) {
+    throw new RangeError('maxUses must be a positive integer');
+  }
+
+  if (!Number.isInteger(ttlDays) || ttlDays < 1 || ttlDays > MAX_INVITE_TTL_DAYS) {
+    throw new RangeError(`ttlDays must be between 1 and ${MAX_INVITE_TTL_DAYS}`);
+  }
+
+  if (label.length > MAX_INVITE_LABEL_LENGTH) {
+    throw new RangeError(`label must be at most ${MAX_INVITE_LABEL_LENGTH} characters`);
+  }
+
+  const codes = [];
+  const now = Date.now();
+
+  for (let i = 0; i < count; i++) {
+    const code = generateCode();
+    await saveInvite(code, {
+      label: label,
+      maxUses: maxUses,
+      uses: 0,
+      createdAt: now,
+      expiresAt: now + (ttlDays * 86400 * 1000)
+    }, env);
+    codes.push(code);
+  }
+
+  return codes;
+}
+
+/**
+ * Consumes one use of an invite code
+ * Exhausted codes are deleted; KV is eventually consistent, so a code may
+ * in rare cases be accepted once more than its limit
+ * @param {string} code - Invite code from the deeplink
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Invite|null>} Invite that was consumed, or null if invalid
+ */
+export async function consumeInvite(code, env) {
+  if (!code || !/^[a-z0-9]+$/.test(code)) {
+    return null;
+  }
+
+  const key = `${INVITE_KEY_PREFIX}${code}`;
+  const invite = await env.KV.get(key, { type: 'json' });
+
+  if (!invite || invite.expiresAt <= Date.now() || invite.uses >= invite.maxUses) {
+    return null;
+  }
+
+  invite.uses += 1;
+
+  if (invite.uses >= invite.maxUses) {
+    await env.KV.delete(key);
+  } else {
+    await saveInvite(code, invite, env);
+  }
+
+  return invite;
+}
+
+/**
+ * Revokes a single invite code without affecting anyone else
+ * @param {string} code - Invite code
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<boolean>} True if the code existed
+ */
+export async function revokeInvite(code, env) {
+  const key = `${INVITE_KEY_PREFIX}${code}`;
+  const invite = await env.KV.get(key);
+
+  if (invite === null) {
+    return false;
+  }
+
+  await env.KV.delete(key);
+  return true;
+}
+
+/**
+ * Lists active invite codes
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<{code: string} & Invite>>}
+ */
+export async function listInvites(env) {
+  const invites = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: INVITE_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      if (key.metadata) {
+        invites.push({ code: key.name.slice(INVITE_KEY_PREFIX.length), ...key.metadata });
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return invites;
+}
@@ -0,0 +1,448 @@
+/**
+ * English Message Catalog
+ * Keys missing here fall back to the Russian catalog
+ */
+
+/**
+ * Picks the English plural form for a count
+ * @param {number} count - Count
+ * @param {string} one - Singular form
+ * @param {string} many - Plural form
+ * @returns {string}
+ */
+function plural(count, one, many) {
+  return count === 1 ? one : many;
+}
+
+const messages = {
+  // Shared replies
+  'common.error': 'Something went wrong. Please try again later.',
+  'common.error_short': 'Something went wrong',
+  'common.unknown_action': 'Unknown action',
+  'common.stale_action': 'This action is no longer available',
+  'common.session_expired': 'Your session has expired. Start again with /start',
+  'common.follow_instructions': 'Please follow the instructions. Use /start to begin.',
+  'common.send_text_or_media': 'Please send a text message or a media file.',
+  'common.cancel': 'Cancel',
+  'common.saved': '✅ Saved.\n\n{details}',
+  'time.minutes': '{minutes} min',
+  'time.hours': '{hours} h',
+  'time.hours_minutes': '{hours} h {minutes} min',
+
+  // Activation and trust
+  'auth.inactive': 'Hi! This bot is not active yet.',
+  'auth.activated': 'Activation successful! You can now send anonymous messages.',
+  'auth.lapsed': ({ date }) => `⌛ Your access to the bot ${date ? `expired on ${date}` : 'has expired'}.\n\n` +
+    'To send anonymous messages again, ask the admins for a new invite link and open it.',
+  'auth.access_denied': 'Access denied',
+  'auth.access_lapsed': 'Your access has expired',
+  'auth.reminder': ({ date, days, renewable }) =>
+    `⏳ Your access to the bot ends on ${date} (in ${days} ${plural(days, 'day', 'days')}).\n\n` +
+    (renewable
+      ? 'To extend it, just open the bot and send /new — your access will be renewed automatically.'
+      : 'Your access has reached its maximum duration. To keep sending anonymous messages, ' +
+        'ask the admins for a new invite link and open it.'),
+
+  // Employee commands
+  'start.welcome': 'Welcome! 👋\n\n' +
+    'This bot lets you send anonymous messages to management.\n\n' +
+    'Choose the category of your message:',
+  'help.text': 'ℹ️ How to send an anonymous message:\n\n' +
+    '1. Choose a category and a topic.\n' +
+    '2. Write your message — you can send several messages in a row: text, photos, videos, documents, voice messages, locations. ' +
+    'When you are done, press “Done”.\n' +
+    '3. Check the preview — this is how the admins will see the message. You can change the text, category, topic and attachments without starting over. If the bot notices details that could identify you, it highlights them.\n' +
+    '4. Press “Send” — management will see the message without your name or account.\n\n' +
+    'After sending you get a ticket number and a receipt code. If the admins reply, the reply comes here — ' +
+    'answer it with “Reply” and your answer stays anonymous too. ' +
+    'With the receipt code, /status shows the ticket status and the admins’ response.\n\n' +
+    'Commands:\n' +
+    '/new — start a new message\n' +
+    '/cancel — delete the current draft\n' +
+    '/privacy — what the bot stores and what it does not\n' +
+    '/status <code> — ticket status by receipt code\n' +
+    '/language — bot language',
+  // Keep in sync with the TTLs in auth.js, session.js, conversations.js, tickets.js, surveys.js and ideas.js
+  'privacy.text': '🔒 What the bot stores\n\n' +
+    'Admins never see your Telegram ID, name or username — only the text and attachments of your message.\n\n' +
+    'What is stored:\n' +
+    '• your activation: your Telegram ID, access period (renewed while you use the bot) and bot language;\n' +
+    '• your draft — until it is sent or cancelled, for at most an hour;\n' +
+    '• with delayed delivery — the message in the queue until it is delivered;\n' +
+    '• sending times and hashes (fingerprints) of your messages — for one day, for limits and duplicate protection;\n' +
+    '• the link between a ticket and your ID for anonymous replies and status notices — 30 days;\n' +
+    '• the ticket number and status and the admins’ response for /status — without your ID, 180 days;\n' +
+    '• a hash of the receipt code with the ticket number — without your ID; only you know the code itself, 180 days;\n' +
+    '• a mark that you have answered a survey — a hash of your ID without the answer; answers are stored separately, without IDs, for 90 days after the survey ends;\n' +
+    '• a mark that you have supported a published idea — a hash of your ID without the time of the vote, for 180 days after publication;\n' +
+    '• overall statistics — only message counts per category, topic and day.\n\n' +
+    'What is not stored:\n' +
+    '• texts and attachments after delivery — they remain only in the admin chat;\n' +
+    '• your name, username and phone number.\n\n' +
+    'If sentiment analysis is enabled, the text is passed to a Cloudflare Workers AI model and is not stored.\n\n' +
+    'Keep in mind: the content of a message can reveal its author, so the bot warns about personal details before sending.',
+  'commands.unknown': 'Unknown command. Send /new to start or /help for help.',
+  'draft.cancelled': '🗑 Draft deleted. Send /new to start again.',
+  'draft.nothing_to_cancel': 'There is no draft to cancel. Send /new to start a new message.',
+  'language.prompt': 'Choose the bot language:',
+  'language.name': 'English',
+  'language.changed': '✅ Bot language: {name}',
+
+  // Category and topic selection
+  'flow.choose_category': 'Choose the category of your message:',
+  'flow.restart': 'Let’s start over. Choose the category of your message:',
+  'flow.choose_topic': 'Choose the topic of your message:',
+  'flow.category_selected': 'Category: {category}',
+  'flow.topic_selected': 'Topic: {topic}',
+  'flow.write_message': '✍️ Great! Now write your message.\n\n' +
+    'You can send several messages in a row: text, photos, videos, documents. ' +
+    'When you are done, press “Done”.',
+  'flow.category_unavailable': 'This category is no longer available',
+  'flow.topic_unavailable': 'This topic is no longer available',
+  'flow.cancelled': '❌ Message cancelled.',
+  'flow.album_failed': 'Could not accept the album. Please send the files one by one.',
+
+  // Composing the draft
+  'compose.done': '✅ Done',
+  'compose.empty': 'The draft is still empty',
+  'compose.status': '📝 Added to the draft. Text: {textLength} of {maxTextLength} characters, ' +
+    'attachments: {mediaCount} of {maxMediaItems}.\n\n' +
+    'Send more text or files, or press “Done” to review the message before sending.',
+  'compose.message_rejected': '⚠️ Message not added. {reason}',
+  'compose.album_rejected': '⚠️ Album not added. {reason}',
+  'compose.text_too_long': 'The text would be too long: {length} of {max} characters. ' +
+    'Shorten it or send the rest as a separate message.',
+  'compose.too_many_files': 'You can attach at most {max} files to one message.',
+
+  // Editing the draft from the confirmation
+  'edit.text_prompt': ({ hasMedia }) => '✏️ Write the new text of your message.' +
+    (hasMedia ? ' Attachments, category and topic stay the same.' : ' Category and topic stay the same.'),
+  'edit.choose_category': 'Choose a new category. The rest of the draft stays the same.',
+  'edit.category': 'Category: {category}',
+  'edit.media_limit': 'You can attach at most {max} files',
+  'edit.add_media_prompt': '📎 Send a file, photo, video, voice message or location (an album works too) — up to {remaining} more. ' +
+    'They are added to the draft, and a caption is appended to the text.',
+  'edit.media_cleared': 'Attachments removed',
+  'edit.media_cleared_need_text': '🗑 Attachments removed. Write the text of your message.',
+  'edit.text_only': 'Send the new text as a plain message, without attachments.',
+  'edit.media_only': 'Send a file, photo, video, voice message or location.',
+
+  // Confirmation
+  'confirm.header': '✅ Your message is ready to send. This is how the admins will see it:',
+  'confirm.footer': 'Press “Send” or change the draft with the buttons below.',
+  'confirm.pii_header': '⚠️ Your message is ready to send, but it contains details ' +
+    'that could identify you ({types}). This is how the admins will see it:',
+  'confirm.pii_footer': 'Change the text or send it as is.',
+  'confirm.attachments': ({ count }) => `📎 Attachments: ${count} — they will be sent with the text.`,
+  'confirm.send': 'Send',
+  'confirm.send_anyway': 'Send as is',
+  'confirm.edit_text': '✏️ Edit text',
+  'confirm.edit_category': '🗂 Category',
+  'confirm.edit_topic': '🏷 Topic',
+  'confirm.add_media': '📎 Add attachment',
+  'confirm.clear_media': '🗑 Remove attachments',
+  'review.text': '⚠️ Your message seems to contain harsh or offensive wording.\n\n' +
+    'A calm tone helps to resolve the issue faster. Please rewrite the message.',
+  'review.rewrite': '✏️ Rewrite',
+  'pii.email': 'email',
+  'pii.username': 'username',
+  'pii.phone': 'phone number',
+  'pii.date': 'date',
+  'pii.code': 'project code',
+  'pii.name': 'name',
+  'media.warning.voice': '🎙 A voice message carries your voice — you could be recognized by it.',
+  'media.warning.video_note': '📹 A video message shows you and carries your voice.',
+  'media.warning.location': '📍 A location can reveal where you work or where you are.',
+
+  // Sending and delivery
+  'send.in_progress': 'The message is already being sent',
+  'send.started': 'Sending the message...',
+  'send.sending': ({ count }) => `📤 Sending the message${count > 0 ? ` (${count} ${plural(count, 'file', 'files')})` : ''}...`,
+  'send.success': ({ number, phrase, receipt }) => `✅ Message sent!${number ? ` Ticket number: #${number}` : ''}` +
+    (receipt ? `\n\n🧾 Receipt code: ${receipt}\nStatus and the admins’ response: /status ${receipt}\nThe code is not stored anywhere — keep it.` : '') +
+    `\n\n${phrase}`,
+  'send.error': 'Something went wrong while sending the message. The draft is kept: try again later or cancel it.',
+  'queue.accepted': '🕓 Message accepted. It will be delivered in about {delay}.\n\n' +
+    'Delayed delivery makes it impossible to link the message to the time you wrote it.\n\n' +
+    '{phrase}',
+  'queue.delivered': ({ number, receipt }) => `✅ Your message has been delivered.${number ? ` Ticket number: #${number}` : ''}` +
+    (receipt ? `\n\n🧾 Receipt code: ${receipt}\nStatus and the admins’ response: /status ${receipt}\nThe code is not stored anywhere — keep it.` : ''),
+  'queue.dropped': '❌ Your delayed message could not be delivered. Please send it again.',
+
+  // Submission limits
+  'limits.duplicate': '🔁 You already sent this message within the last day.\n\n' +
+    'Write a different message or cancel the draft with /cancel.',
+  'limits.reached': ({ reason, wait }) => `⏸ You have sent the maximum number of messages ${reason === 'day' ? 'per day' : 'per hour'}.\n\n` +
+    `The draft stays saved for an hour: press «Done» to try again in about ${wait}, or start over with /new.`,
+  'limits.alert': '⚠️ Submission limits triggered since {hour}:00 UTC: {total}\n\n' +
+    'Hourly limit: {hourHits}\nDaily limit: {dayHits}\nDuplicates: {duplicateHits}\n\n' +
+    'The bot does not report who hit the limits.',
+
+  // Anonymous replies
+  'reply.from_admins': '💬 Reply from the admins:',
+  'reply.from_admins_above': '💬 Reply from the admins above.',
+  'reply.hint': '↩️ Reply to this message to answer anonymously.',
+  'reply.from_author': '💬 Reply from the author:',
+  'reply.sent': '✅ Your reply was sent anonymously.',
+  'reply.send_failed': 'Could not send your reply. Please try again later.',
+  'reply.expired': '⚠️ The conversation has expired, the reply was not delivered.',
+  'reply.delivery_failed': '⚠️ Could not deliver the reply to the author.',
+
+  // Tickets
+  'ticket.status.new': '🆕 New',
+  'ticket.status.in_progress': '🔄 In progress',
+  'ticket.status.resolved': '✅ Resolved',
+  'ticket.status.rejected': '🚫 Rejected',
+  'ticket.status.duplicate': '📑 Duplicate',
+  'ticket.status_marker': '📌 Status:',
+  'ticket.status_changed': 'Status: {status}',
+  'ticket.unknown_status': 'Unknown status',
+  'ticket.not_allowed': 'Only admin chat members can change the status',
+  'ticket.not_found': 'Ticket not found or outdated',
+  'ticket.status_unchanged': 'This status is already set',
+  'ticket.author_notice': '📌 The status of your ticket #{number} has changed: {status}',
+  'ticket.response_notice': '💬 The admins published a response to your ticket #{number}. Read it with /status and your receipt code',
+  'status.usage': 'Usage: /status <receipt code>\n\nYou get the code after sending a message.',
+  'status.not_found': 'Receipt not found. Check the code: tickets are kept for 180 days.',
+  'status.result': ({ number, status, response }) => `🎫 Ticket #${number}\nStatus: ${status}` +
+    (response ? `\n\n💬 Response from the admins:\n${response}` : ''),
+  'ticket.controls': '🎫 Ticket #{number}',
+
+  // Admin post
+  'post.header': ({ number }) => `📩 New anonymous message${number ? ` #${number}` : ''}`,
+  'post.tone': 'Tone: {badges}',
+  'post.text': 'Text:',
+  'post.no_text': 'no message',
+  'post.abusive': '🚫 Harsh wording',
+  'sentiment.POSITIVE': '🙂 Positive',
+  'sentiment.NEGATIVE': '😟 Negative',
+  'sentiment.NEUTRAL': '😐 Neutral',
+  'sentiment.UNKNOWN': '❔ Not rated',
+  'delivery.attachments_failed': '⚠️ Could not attach the attachments to this ticket.',
+  'delivery.partial_failure': ({ number, lines }) => `⚠️ Message${number ? ` #${number}` : ''} was not delivered to every chat:\n\n${lines}`,
+  'delivery.thread': 'topic {thread}',
+
+  // Surveys
+  'survey.message': ({ question, scale, date }) => `📋 Survey\n\n${question}\n\n` +
+    `${scale ? 'Rate from 1 to 10. ' : ''}Your answer is anonymous: admins only see the total number of answers. ` +
+    `You can answer until ${date} UTC.`,
+  'survey.answered': '✅ Thank you! Your answer: {answer}',
+  'survey.thanks': 'Answer received',
+  'survey.already_answered': 'You have already answered this survey',
+  'survey.closed': 'This survey has ended',
+  'survey.closed_note': '🔒 The survey has ended.',
+  'survey.results.header': '📋 Survey {id}\n\n{question}',
+  'survey.results.option': '• {label} — {count} ({percent}%)',
+  'survey.results.average': 'Average rating: {average}',
+  'survey.results.summary': ({ answers, sent, failed, sending }) => `Answers: ${answers}, sent to: ${sent}` +
+    (failed > 0 ? `, not delivered: ${failed}` : '') +
+    (sending ? ' (still sending)' : ''),
+  'survey.results.open': '⏳ Open until {date} UTC. Close earlier: /survey_close {id}',
+  'survey.results.closed': '🔒 Closed {date} UTC',
+  'survey.closed_notice': '🔒 Survey {id} is closed. Answers: {count}.',
+
+  // Announcements
+  'announcement.report': ({ id, delivered, blocked, failed, sending }) => `📣 Announcement ${id}\n\n` +
+    `Delivered: ${delivered}\nBlocked the bot (access revoked): ${blocked}\nFailed: ${failed}\n\n` +
+    (sending ? '⏳ Still sending' : '✅ Finished'),
+
+  // Published ideas
+  'idea.message': '💡 An idea from a colleague\n\n{text}\n\nSupport it with the button below. Votes are anonymous: only the total is counted.',
+  'idea.upvote': ({ count }) => (count > 0 ? `👍 Support · ${count}` : '👍 Support'),
+  'idea.voted': 'Thank you, your vote is counted',
+  'idea.already_voted': 'You have already supported this idea',
+  'idea.not_found': 'This idea is no longer available',
+  'idea.report': ({ id, delivered, blocked, failed, sending }) => `💡 Idea ${id} is published to all users\n\n` +
+    `Delivered: ${delivered}\nBlocked the bot (access revoked): ${blocked}\nFailed: ${failed}\n\n` +
+    (sending ? '⏳ Still sending' : '✅ Finished. Votes: /ideas'),
+  'idea.published_channel': '💡 Idea {id} is published in the channel. Votes: /ideas',
+
+  // Scheduled jobs
+  'maintenance.revoked_all': '🔒 Access revoked for all users: {count}',
+  'maintenance.title': '🛠 Maintenance',
+  'maintenance.test_logs': '🧹 Test logs deleted: {count}',
+  'maintenance.stats': ({ days, months }) => `📦 Statistics for ${days} ${plural(days, 'day', 'days')} merged into monthly totals (${months})`,
+  'maintenance.reminders': ({ sent, failed }) => `⏳ Access expiry reminders: ${sent}${failed > 0 ? `, not delivered: ${failed}` : ''}`,
+  'maintenance.error': '⚠️ Error: {error}',
+
+  // Command menus
+  'menu.new': 'Write a new message',
+  'menu.cancel': 'Cancel the current draft',
+  'menu.help': 'How to use the bot',
+  'menu.privacy': 'What the bot stores and what it does not',
+  'menu.language': 'Bot language',
+  'menu.status': 'Ticket status by receipt code',
+  'menu.admin.help': 'Admin commands',
+  'menu.admin.stats': 'Message statistics',
+  'menu.admin.invite': 'Create invites',
+  'menu.admin.invites': 'Active invites',
+  'menu.admin.taxonomy': 'Categories and topics',
+  'menu.admin.routing': 'Routing to chats',
+  'menu.admin.survey': 'Run a survey',
+  'menu.admin.announce': 'Announcement to all users',
+  'menu.admin.ideas': 'Top published ideas',
+
+  // Admin commands
+  'admin.error': 'Something went wrong while running the command.',
+  'admin.invite.usage': '⚠️ Invalid parameters (count 1–50, validity 1–365 days).\n\n' +
+    'Usage: /invite [count] [uses] [days] [label]',
+  'admin.invite.label_too_long': '⚠️ The label is too long: at most {max} characters.',
+  'admin.invite.created': ({ count, uses, days, label, links }) =>
+    `🎟 Invites created: ${count} (uses: ${uses}, valid for: ${days} ${plural(Number(days), 'day', 'days')}${label ? `, label “${label}”` : ''})\n\n${links}`,
+  'admin.invites.none': 'There are no active invites.',
+  'admin.invites.item': ({ code, uses, maxUses, date, label }) =>
+    `${code} — ${uses}/${maxUses}, until ${date}${label ? `, “${label}”` : ''}`,
+  'admin.invites.list': '🎟 Active invites ({count}):\n\n{lines}',
+  'admin.revoke_invite.usage': 'Usage: /revoke_invite <code>',
+  'admin.revoke_invite.done': '✅ Invite revoked.',
+  'admin.revoke_invite.not_found': 'Invite not found or already used.',
+  'admin.taxonomy.list': 'Categories:\n{categories}\n\nTopics:\n{topics}',
+  'admin.taxonomy.disabled': ' (disabled)',
+  'admin.taxonomy.unknown_kind': 'Specify category or topic',
+  'admin.taxonomy.not_found': 'Item {key} not found',
+  'admin.taxonomy.invalid_json': 'Could not parse the JSON. Use /taxonomy_json as a template.',
+  'admin.taxonomy.item_usage': 'Usage: /{kind} <key> <emoji or -> <label>',
+  'admin.taxonomy.toggle_usage': 'Usage: /{command} <category|topic> <key>',
+  'admin.taxonomy.order_usage': 'Usage: /order <category|topic> <key> <number>',
+  'admin.routing.empty': 'Routing is not configured: all messages go to this chat.',
+  'admin.routing.no_controls': ' (no buttons)',
+  'admin.routing.list': 'Routes (category → topic: chats):\n\n{lines}\n\nMessages without a matching route go to this chat.',
+  'admin.routing.invalid_json': 'Could not parse the JSON.',
+  'admin.stats.usage': 'Usage: /stats [today|week|month|quarter|year|<days 1–{max}>]',
+  'admin.stats.report': ({ days, from, to, total, users, categories, topics, sentiments }) =>
+    `📊 Statistics for ${days} ${plural(days, 'day', 'days')} (${from} – ${to}, UTC)\n\n` +
+    `Messages: ${total}\n` +
+    `Active users: ${users}\n\n` +
+    `Categories:\n${categories}\n\n` +
+    `Topics:\n${topics}\n\n` +
+    `Tone:\n${sentiments}`,
+  'admin.stats.abusive': '🚫 Harsh wording: {count}',
+  'admin.stats.by_month': 'By month (whole month):',
+  'admin.stats.by_day': 'By day:',
+  'admin.stats.by_week': 'By week:',
+  'admin.trusted.usage': 'Usage: /trusted [date|label|invite]',
+  'admin.trusted.by_date': 'by activation date',
+  'admin.trusted.by_label': 'by invite label',
+  'admin.trusted.by_invite': 'by invite code',
+  'admin.trusted.unknown_date': 'unknown date',
+  'admin.trusted.no_label': 'no label',
+  'admin.trusted.shared_token': 'shared token / unknown',
+  'admin.trusted.none': ({ lapsed }) => `No activated users.${lapsed > 0 ? ` Access recently expired: ${lapsed}.` : ''}`,
+  'admin.trusted.report': ({ count, warningDays, expiringSoon, lapsed, grouping, lines }) =>
+    `👥 Activated users: ${count} (expiring within ${warningDays} ${plural(warningDays, 'day', 'days')}: ${expiringSoon})` +
+    `${lapsed > 0 ? `\nAccess recently expired: ${lapsed}` : ''}\n\n` +
+    `Grouped ${grouping}:\n${lines}`,
+  'admin.selector.invite': 'by invite {code}',
+  'admin.selector.dates': 'activated {from} – {to}',
+  'admin.selector.all': 'all users',
+  'admin.revoke_users.usage': 'Usage:\n/revoke_users invite <code>\n/revoke_users dates <YYYY-MM-DD> [YYYY-MM-DD]\n\n' +
+    'To revoke access for everyone, use REVOKE_ALL_ACCESS.',
+  'admin.revoke_users.done': '🔒 Access revoked ({selection}): {count}',
+  'admin.trust_days.usage': 'Usage: /trust_days <±days up to {max}> <invite <code> | dates <from> [to] | all>\n\n' +
+    'For example: /trust_days 30 all or /trust_days -10 invite abc123',
+  'admin.trust_days.done': ({ days, selection, updated, revoked }) =>
+    `✅ Access ${days > 0 ? 'extended' : 'shortened'} by ${Math.abs(days)} ${plural(Math.abs(days), 'day', 'days')} (${selection}): ${updated}` +
+    (revoked > 0 ? `, expired and revoked: ${revoked}` : ''),
+  'admin.survey.usage': 'Usage:\n/survey <hours 1–{max}> <question> | <option> | <option> …\n' +
+    '/survey <hours> <question> — rating on a scale from 1 to 10\n\n' +
+    'From 2 to {maxOptions} options of up to {maxOptionLength} characters each; the question is up to {maxQuestionLength} characters.',
+  'admin.survey.close_usage': 'Usage: /survey_close <survey code>',
+  'admin.survey.not_found': 'Survey not found.',
+  'admin.survey.already_closed': 'The survey is already closed.',
+  'admin.announce.usage': 'Usage:\n/announce <text> — send the text to all users\n' +
+    'or reply /announce to your own message in this chat to send it as is (with a photo, video or file).',
+  'admin.announce.bot_message': 'Bot messages are not broadcast: that could show a feedback message to everyone. ' +
+    'Post the announcement as a separate message and reply /announce to it.',
+  'admin.publish.usage': 'Reply to a feedback message with:\n' +
+    '/publish [users|channel] [edited text]\n\n' +
+    'Without text, the message text is published without the header, category and status. ' +
+    'users sends it to all users, channel posts it in the IDEAS_CHANNEL_ID channel ' +
+    '(the default if the channel is set). The text is up to {max} characters.',
+  'admin.publish.no_channel': 'No channel for ideas is set (IDEAS_CHANNEL_ID). Use /publish users.',
+  'admin.publish.pii': '⚠️ The text has details that could reveal the author ({types}). ' +
+    'Publish an edited text instead: /publish [users|channel] <text>',
+  'admin.publish.failed': '⚠️ Could not publish the idea in the channel: {error}',
+  'admin.ideas.header': '🏆 Published ideas by votes\n',
+  'admin.ideas.item': '{rank}. 👍 {votes} · {id} · {date}\n{text}',
+  'admin.response.usage': 'Usage: /response <ticket number> <text>\n/response <ticket number> - — remove the response\n\n' +
+    'Anyone with the ticket’s receipt code can see the response. The text is up to {max} characters.',
+  'admin.response.not_found': 'Ticket #{number} not found.',
+  'admin.response.saved': '✅ The response to ticket #{number} is saved; the author will see it with /status.',
+  'admin.response.cleared': '🗑 The response to ticket #{number} is removed.',
+  'admin.ideas.empty': 'No ideas have been published yet. Reply /publish to a message with an idea.',
+  'admin.help': 'Admin commands:\n\n' +
+    '/invite [count] [uses] [days] [label] — create invites\n' +
+    '/invites — active invites\n' +
+    '/revoke_invite <code> — revoke an invite\n\n' +
+    '/trusted [date|label|invite] — activated users by group\n' +
+    '/revoke_users <invite <code> | dates <from> [to]> — revoke access for a group\n' +
+    '/trust_days <±days> <invite <code> | dates <from> [to] | all> — change the access period\n\n' +
+    '/taxonomy — categories and topics\n' +
+    '/category <key> <emoji|-> <label> — add or rename a category\n' +
+    '/topic <key> <emoji|-> <label> — add or rename a topic\n' +
+    '/enable, /disable <category|topic> <key> — enable or disable\n' +
+    '/order <category|topic> <key> <number> — change the order\n' +
+    '/taxonomy_json, /taxonomy_set <json>, /taxonomy_reset — edit as a whole\n\n' +
+    '/routing — routing to chats\n' +
+    '/routing_json, /routing_set <json>, /routing_reset — edit the routes\n\n' +
+    '/stats [today|week|month|quarter|year|<days>] — message statistics\n\n' +
+    '/survey <hours> <question> | <option> | … — anonymous survey of all users (without options: a 1–10 scale)\n' +
+    '/survey_close <code> — close a survey early\n\n' +
+    '/announce <text> — announcement to all users (or as a reply to a message with media)\n\n' +
+    '/publish [users|channel] [text] — as a reply to feedback: publish an idea for voting\n' +
+    '/ideas — top published ideas\n\n' +
+    '/response <number> <text|-> — public response to a ticket, shown to its author by /status (- removes it)\n\n' +
+    'Reply to a feedback message to write to its author anonymously.',
+
+  // Validation errors shown to admins
+  'taxonomy.error.object': 'Expected an object with categories and topics fields',
+  'taxonomy.error.items': '{field}: expected a list of 1–{max} items',
+  'taxonomy.error.key': '{field}[{index}]: the key must consist of a-z, 0-9 and _ (up to 32 characters)',
+  'taxonomy.error.duplicate_key': '{field}: key {key} is repeated',
+  'taxonomy.error.label': '{field}.{key}: the label must be 1 to {max} characters long',
+  'taxonomy.error.labels': '{field}.{key}: labels must map languages ({languages}) to labels of 1 to {max} characters',
+  'taxonomy.error.none_enabled': '{field}: at least one item must be enabled',
+  'routing.error.object': 'Expected an object { "routes": [...] } with at most {max} rules',
+  'routing.error.match': 'routes[{index}]: category and topic must be strings',
+  'routing.error.destinations': 'routes[{index}]: expected a list of 1–{max} destinations',
+  'routing.error.chat_id': 'routes[{index}]: invalid chatId "{chatId}"',
+  'routing.error.thread_id': 'routes[{index}]: threadId must be an integer'
+};
+
+/**
+ * Supportive phrases shown after a message is sent
+ */
+const phrases = [
+  'Thank you for sharing — words like these make us better 💪',
+  'Courage is the first step towards change. You have taken it 👏',
+  'Hearing each other matters. Thank you for writing 💬',
+  'Your message will be read — we value your openness ❤️',
+  'Every opinion matters. Thank you for your trust 🙏',
+  'Together we are stronger. Thank you for your honesty 💙',
+  'Your voice has been heard. It matters to all of us 🎯',
+  'Openness is the foundation of growth. Thank you for contributing 🌱',
+  'We value your courage to speak about what matters 🔥',
+  'Messages like this help us get better 🚀',
+  'Thank you for not staying silent. It is valuable 💎',
+  'Your opinion is part of our shared way forward 🛤️',
+  'Thank you for your sincerity and openness 🌟',
+  'You help create a better atmosphere in the team 🤝',
+  'Every word matters. Thank you for sharing 📢',
+  'Your feedback is a step towards positive change ✨',
+  'Telling the truth takes strength. Thank you for yours 💫',
+  'Your words will not go unnoticed 👀',
+  'Thank you for helping us grow 🌳',
+  'Such openness is inspiring. Thank you 🎨',
+  'Your opinion makes the team stronger 🏆',
+  'We value everyone who is not afraid to speak up 🦁',
+  'Together we build a culture of trust 🌈',
+  'Thank you for speaking up — it makes a difference 🌟',
+  'Open dialogue is the foundation of trust. Thank you 🗣️',
+  'Your honesty helps us move forward 🧭',
+  'Every voice matters. Yours especially 🎤',
+  'Thank you for caring about the team 💝',
+  'Messages like this build a healthy culture 🌿',
+  'Thank you for taking the first step 👣'
+];
+
+export default { messages, phrases };
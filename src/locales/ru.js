@@ -0,0 +1,478 @@
+/**
+ * Russian Message Catalog
+ * The reference catalog: every key must exist here, other languages fall back to it
+ */
+
+/**
+ * Picks the Russian plural form for a count
+ * @param {number} count - Count
+ * @param {string} one - Form for 1, 21, 31...
+ * @param {string} few - Form for 2-4, 22-24...
+ * @param {string} many - Form for 0, 5-20, 25-30...
+ * @returns {string}
+ */
+function plural(count, one, few, many) {
+  const mod10 = count % 10;
+  const mod100 = count % 100;
+
+  if (mod10 === 1 && mod100 !== 11) {
+    return one;
+  }
+
+  if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) {
+    return few;
+  }
+
+  return many;
+}
+
+const messages = {
+  // Shared replies
+  'common.error': 'Произошла ошибка. Пожалуйста, попробуйте позже.',
+  'common.error_short': 'Произошла ошибка',
+  'common.unknown_action': 'Неизвестное действие',
+  'common.stale_action': 'Действие устарело',
+  'common.session_expired': 'Сессия истекла. Начните заново с /start',
+  'common.follow_instructions': 'Пожалуйста, следуйте инструкциям. Используйте /start для начала.',
+  'common.send_text_or_media': 'Пожалуйста, отправьте текстовое сообщение или медиафайл.',
+  'common.cancel': 'Отменить',
+  'common.saved': '✅ Сохранено.\n\n{details}',
+  'time.minutes': '{minutes} мин',
+  'time.hours': '{hours} ч',
+  'time.hours_minutes': '{hours} ч {minutes} мин',
+
+  // Activation and trust
+  'auth.inactive': 'Привет! Этот бот пока не активен.',
+  'auth.activated': 'Активация прошла успешно! Теперь вы можете отправлять анонимные сообщения.',
+  'auth.lapsed': ({ date }) => `⌛ Срок вашего доступа к боту истёк${date ? ` ${date}` : ''}.\n\n` +
+    'Чтобы снова отправлять анонимные сообщения, попросите у администраторов новую ссылку-приглашение и откройте её.',
+  'auth.access_denied': 'Доступ запрещён',
+  'auth.access_lapsed': 'Срок доступа истёк',
+  'auth.reminder': ({ date, days, renewable }) => `⏳ Ваш доступ к боту закончится ${date} (через ${days} дн.).\n\n` +
+    (renewable
+      ? 'Чтобы продлить доступ, просто откройте бота и отправьте /new — срок продлится автоматически.'
+      : 'Доступ достиг максимального срока. Чтобы и дальше отправлять анонимные сообщения, ' +
+        'попросите у администраторов новую ссылку-приглашение и откройте её.'),
+
+  // Employee commands
+  'start.welcome': 'Добро пожаловать! 👋\n\n' +
+    'Этот бот позволяет отправлять анонимные сообщения руководству.\n\n' +
+    'Выберите категорию вашего сообщения:',
+  'help.text': 'ℹ️ Как отправить анонимное сообщение:\n\n' +
+    '1. Выберите категорию и тему.\n' +
+    '2. Напишите сообщение — можно несколькими сообщениями подряд: текст, фото, видео, документы, голосовые, геопозицию. ' +
+    'Когда закончите, нажмите «Готово».\n' +
+    '3. Проверьте предпросмотр — так сообщение увидят администраторы. Текст, категорию, тему и вложения можно изменить, не начиная заново. Если бот заметит детали, по которым вас можно узнать, он подсветит их.\n' +
+    '4. Нажмите «Отправить» — руководство увидит сообщение без вашего имени и аккаунта.\n\n' +
+    'После отправки вы получите номер обращения и код квитанции. Если администраторы ответят, ответ придёт сюда — ' +
+    'ответьте на него через «Ответить», и ваш ответ тоже останется анонимным. ' +
+    'По коду квитанции командой /status можно узнать статус обращения и ответ администраторов.\n\n' +
+    'Команды:\n' +
+    '/new — начать новое сообщение\n' +
+    '/cancel — удалить текущий черновик\n' +
+    '/privacy — что бот хранит и чего не хранит\n' +
+    '/status <код> — статус обращения по коду квитанции\n' +
+    '/language — язык бота',
+  // Keep in sync with the TTLs in auth.js, session.js, conversations.js, tickets.js, surveys.js and ideas.js
+  'privacy.text': '🔒 Что хранит бот\n\n' +
+    'Администраторы никогда не видят ваш Telegram ID, имя или username — только текст и вложения сообщения.\n\n' +
+    'Что хранится:\n' +
+    '• отметка об активации: ваш Telegram ID, срок доступа (продлевается, пока вы пользуетесь ботом) и язык бота;\n' +
+    '• черновик сообщения — до отправки или отмены, не дольше часа;\n' +
+    '• при отложенной доставке — сообщение в очереди до момента доставки;\n' +
+    '• время отправки и хэш (отпечаток) ваших сообщений — сутки, для лимитов и защиты от повторов;\n' +
+    '• связь обращения с вашим ID для анонимных ответов и уведомлений о статусе — 30 дней;\n' +
+    '• номер и статус обращения и ответ администраторов для /status — без вашего ID, 180 дней;\n' +
+    '• хэш кода квитанции с номером обращения — без вашего ID; сам код знаете только вы, 180 дней;\n' +
+    '• отметка, что вы уже ответили на опрос, — хэш ID без самого ответа; ответы хранятся отдельно, без ID, 90 дней после окончания опроса;\n' +
+    '• отметка, что вы поддержали опубликованную идею, — хэш ID без времени голоса, 180 дней после публикации;\n' +
+    '• общая статистика — только количество сообщений по категориям, темам и дням.\n\n' +
+    'Что не хранится:\n' +
+    '• тексты и вложения после доставки — они остаются только в чате администраторов;\n' +
+    '• ваше имя, username и номер телефона.\n\n' +
+    'Если включена проверка тональности, текст передаётся модели Cloudflare Workers AI и не сохраняется.\n\n' +
+    'Учтите: содержание сообщения может выдать автора, поэтому бот предупреждает о личных деталях перед отправкой.',
+  'commands.unknown': 'Неизвестная команда. Напишите /new, чтобы начать, или /help для справки.',
+  'draft.cancelled': '🗑 Черновик удалён. Напишите /new, чтобы начать заново.',
+  'draft.nothing_to_cancel': 'Нет черновика для отмены. Напишите /new, чтобы начать новое сообщение.',
+  'language.prompt': 'Выберите язык бота:',
+  'language.name': 'Русский',
+  'language.changed': '✅ Язык бота: {name}',
+
+  // Category and topic selection
+  'flow.choose_category': 'Выберите категорию вашего сообщения:',
+  'flow.restart': 'Начнём заново. Выберите категорию вашего сообщения:',
+  'flow.choose_topic': 'Выберите тему вашего сообщения:',
+  'flow.category_selected': 'Выбрана категория: {category}',
+  'flow.topic_selected': 'Выбрана тема: {topic}',
+  'flow.write_message': '✍️ Отлично! Теперь напишите ваше сообщение.\n\n' +
+    'Можно отправить несколько сообщений подряд: текст, фото, видео, документы. ' +
+    'Когда закончите, нажмите «Готово».',
+  'flow.category_unavailable': 'Эта категория больше недоступна',
+  'flow.topic_unavailable': 'Эта тема больше недоступна',
+  'flow.cancelled': '❌ Сообщение отменено.',
+  'flow.album_failed': 'Не удалось принять альбом. Пожалуйста, отправьте файлы по одному.',
+
+  // Composing the draft
+  'compose.done': '✅ Готово',
+  'compose.empty': 'Черновик пока пуст',
+  'compose.status': '📝 Добавлено в черновик. Текст: {textLength} из {maxTextLength} символов, ' +
+    'вложений: {mediaCount} из {maxMediaItems}.\n\n' +
+    'Отправьте ещё текст или файлы либо нажмите «Готово», чтобы проверить сообщение перед отправкой.',
+  'compose.message_rejected': '⚠️ Сообщение не добавлено. {reason}',
+  'compose.album_rejected': '⚠️ Альбом не добавлен. {reason}',
+  'compose.text_too_long': 'Текст получится слишком длинным: {length} из {max} символов. ' +
+    'Сократите его или отправьте остальное отдельным обращением.',
+  'compose.too_many_files': 'К одному обращению можно прикрепить не больше {max} файлов.',
+
+  // Editing the draft from the confirmation
+  'edit.text_prompt': ({ hasMedia }) => '✏️ Напишите новый текст сообщения.' +
+    (hasMedia ? ' Вложения, категория и тема останутся прежними.' : ' Категория и тема останутся прежними.'),
+  'edit.choose_category': 'Выберите новую категорию. Остальное в черновике не изменится.',
+  'edit.category': 'Категория: {category}',
+  'edit.media_limit': 'Можно прикрепить не больше {max} файлов',
+  'edit.add_media_prompt': '📎 Отправьте файл, фото, видео, голосовое сообщение или геопозицию (можно альбомом) — ещё до {remaining}. ' +
+    'Они добавятся к черновику, подпись допишется к тексту.',
+  'edit.media_cleared': 'Вложения убраны',
+  'edit.media_cleared_need_text': '🗑 Вложения убраны. Напишите текст сообщения.',
+  'edit.text_only': 'Отправьте новый текст обычным сообщением, без вложений.',
+  'edit.media_only': 'Отправьте файл, фото, видео, голосовое сообщение или геопозицию.',
+
+  // Confirmation
+  'confirm.header': '✅ Ваше сообщение готово к отправке. Так его увидят администраторы:',
+  'confirm.footer': 'Нажмите «Отправить» или измените черновик кнопками ниже.',
+  'confirm.pii_header': '⚠️ Ваше сообщение готово к отправке, но в нём есть данные, ' +
+    'по которым вас могут узнать ({types}). Так его увидят администраторы:',
+  'confirm.pii_footer': 'Измените текст или отправьте как есть.',
+  'confirm.attachments': '📎 Вложения: {count} — придут вместе с текстом.',
+  'confirm.send': 'Отправить',
+  'confirm.send_anyway': 'Отправить как есть',
+  'confirm.edit_text': '✏️ Изменить текст',
+  'confirm.edit_category': '🗂 Категория',
+  'confirm.edit_topic': '🏷 Тема',
+  'confirm.add_media': '📎 Добавить вложение',
+  'confirm.clear_media': '🗑 Убрать вложения',
+  'review.text': '⚠️ Похоже, в сообщении есть резкие или оскорбительные формулировки.\n\n' +
+    'Спокойный тон помогает быстрее решить вопрос. Пожалуйста, перепишите сообщение.',
+  'review.rewrite': '✏️ Переписать',
+  'pii.email': 'email',
+  'pii.username': 'username',
+  'pii.phone': 'телефон',
+  'pii.date': 'дата',
+  'pii.code': 'код проекта',
+  'pii.name': 'имя',
+  'media.warning.voice': '🎙 Голосовое сообщение передаёт ваш голос — по нему вас могут узнать.',
+  'media.warning.video_note': '📹 Видеосообщение показывает вас и передаёт ваш голос.',
+  'media.warning.location': '📍 Геопозиция может указать, где вы работаете или находитесь.',
+
+  // Sending and delivery
+  'send.in_progress': 'Сообщение уже отправляется',
+  'send.started': 'Отправка сообщения...',
+  'send.sending': ({ count }) => `📤 Отправка сообщения${count > 0 ? ` (${count} ${plural(count, 'файл', 'файла', 'файлов')})` : ''}...`,
+  'send.success': ({ number, phrase, receipt }) => `✅ Сообщение отправлено!${number ? ` Номер обращения: #${number}` : ''}` +
+    (receipt ? `\n\n🧾 Код квитанции: ${receipt}\nСтатус и ответ администраторов: /status ${receipt}\nКод нигде не хранится — сохраните его.` : '') +
+    `\n\n${phrase}`,
+  'send.error': 'Произошла ошибка при отправке сообщения. Черновик сохранён: попробуйте позже или отмените его.',
+  'queue.accepted': '🕓 Сообщение принято и будет доставлено примерно через {delay}.\n\n' +
+    'Отложенная доставка не позволяет связать сообщение со временем, когда вы его писали.\n\n' +
+    '{phrase}',
+  'queue.delivered': ({ number, receipt }) => `✅ Ваше сообщение доставлено.${number ? ` Номер обращения: #${number}` : ''}` +
+    (receipt ? `\n\n🧾 Код квитанции: ${receipt}\nСтатус и ответ администраторов: /status ${receipt}\nКод нигде не хранится — сохраните его.` : ''),
+  'queue.dropped': '❌ Не удалось доставить ваше отложенное сообщение. Пожалуйста, отправьте его заново.',
+
+  // Submission limits
+  'limits.duplicate': '🔁 Такое сообщение вы уже отправляли за последние сутки.\n\n' +
+    'Напишите другое сообщение или отмените черновик командой /cancel.',
+  'limits.reached': ({ reason, wait }) => `⏸ Вы отправили максимальное количество сообщений ${reason === 'day' ? 'за сутки' : 'за час'}.\n\n` +
+    `Черновик сохраняется в течение часа: нажмите «Готово», чтобы попробовать снова примерно через ${wait}, или начните заново с команды /new.`,
+  'limits.alert': '⚠️ Срабатываний лимитов отправки с {hour}:00 UTC: {total}\n\n' +
+    'Лимит в час: {hourHits}\nЛимит в сутки: {dayHits}\nПовторы: {duplicateHits}\n\n' +
+    'Кто именно упёрся в лимиты, бот не сообщает.',
+
+  // Anonymous replies
+  'reply.from_admins': '💬 Ответ администраторов:',
+  'reply.from_admins_above': '💬 Ответ администраторов выше.',
+  'reply.hint': '↩️ Ответьте на это сообщение, чтобы ответить анонимно.',
+  'reply.from_author': '💬 Ответ автора:',
+  'reply.sent': '✅ Ответ отправлен анонимно.',
+  'reply.send_failed': 'Не удалось отправить ответ. Пожалуйста, попробуйте позже.',
+  'reply.expired': '⚠️ Диалог истёк, ответ не доставлен.',
+  'reply.delivery_failed': '⚠️ Не удалось доставить ответ автору.',
+
+  // Tickets
+  'ticket.status.new': '🆕 Новое',
+  'ticket.status.in_progress': '🔄 В работе',
+  'ticket.status.resolved': '✅ Решено',
+  'ticket.status.rejected': '🚫 Отклонено',
+  'ticket.status.duplicate': '📑 Дубликат',
+  'ticket.status_marker': '📌 Статус:',
+  'ticket.status_changed': 'Статус: {status}',
+  'ticket.unknown_status': 'Неизвестный статус',
+  'ticket.not_allowed': 'Менять статус могут только участники чата администраторов',
+  'ticket.not_found': 'Обращение не найдено или устарело',
+  'ticket.status_unchanged': 'Этот статус уже установлен',
+  'ticket.author_notice': '📌 Статус вашего обращения #{number} изменён: {status}',
+  'ticket.response_notice': '💬 Администраторы опубликовали ответ на ваше обращение #{number}. Прочитать: /status с кодом квитанции',
+  'status.usage': 'Использование: /status <код квитанции>\n\nКод приходит после отправки сообщения.',
+  'status.not_found': 'Квитанция не найдена. Проверьте код: обращения хранятся 180 дней.',
+  'status.result': ({ number, status, response }) => `🎫 Обращение #${number}\nСтатус: ${status}` +
+    (response ? `\n\n💬 Ответ администраторов:\n${response}` : ''),
+  'ticket.controls': '🎫 Обращение #{number}',
+
+  // Admin post
+  'post.header': ({ number }) => `📩 Новое анонимное сообщение${number ? ` #${number}` : ''}`,
+  'post.tone': 'Тональность: {badges}',
+  'post.text': 'Текст:',
+  'post.no_text': 'без сообщения',
+  'post.abusive': '🚫 Резкие формулировки',
+  'sentiment.POSITIVE': '🙂 Позитивное',
+  'sentiment.NEGATIVE': '😟 Негативное',
+  'sentiment.NEUTRAL': '😐 Нейтральное',
+  'sentiment.UNKNOWN': '❔ Без оценки',
+  'delivery.attachments_failed': '⚠️ Не удалось прикрепить вложения к этому обращению.',
+  'delivery.partial_failure': ({ number, lines }) => `⚠️ Сообщение${number ? ` #${number}` : ''} доставлено не во все чаты:\n\n${lines}`,
+  'delivery.thread': 'тема {thread}',
+
+  // Surveys
+  'survey.message': ({ question, scale, date }) => `📋 Опрос\n\n${question}\n\n` +
+    `${scale ? 'Оцените от 1 до 10. ' : ''}Ответ анонимный: администраторы видят только общее число ответов. ` +
+    `Ответить можно до ${date} UTC.`,
+  'survey.answered': '✅ Спасибо! Ваш ответ: {answer}',
+  'survey.thanks': 'Ответ принят',
+  'survey.already_answered': 'Вы уже ответили на этот опрос',
+  'survey.closed': 'Опрос уже завершён',
+  'survey.closed_note': '🔒 Опрос завершён.',
+  'survey.results.header': '📋 Опрос {id}\n\n{question}',
+  'survey.results.option': '• {label} — {count} ({percent}%)',
+  'survey.results.average': 'Средняя оценка: {average}',
+  'survey.results.summary': ({ answers, sent, failed, sending }) => `Ответов: ${answers}, разослано: ${sent}` +
+    (failed > 0 ? `, не доставлено: ${failed}` : '') +
+    (sending ? ' (рассылка продолжается)' : ''),
+  'survey.results.open': '⏳ Открыт до {date} UTC. Закрыть раньше: /survey_close {id}',
+  'survey.results.closed': '🔒 Закрыт {date} UTC',
+  'survey.closed_notice': '🔒 Опрос {id} закрыт. Ответов: {count}.',
+
+  // Announcements
+  'announcement.report': ({ id, delivered, blocked, failed, sending }) => `📣 Объявление ${id}\n\n` +
+    `Доставлено: ${delivered}\nЗаблокировали бота (доступ отозван): ${blocked}\nОшибки доставки: ${failed}\n\n` +
+    (sending ? '⏳ Рассылка продолжается' : '✅ Рассылка завершена'),
+
+  // Published ideas
+  'idea.message': '💡 Идея от коллеги\n\n{text}\n\nПоддержите её кнопкой ниже. Голоса анонимные: считается только общее число.',
+  'idea.upvote': ({ count }) => (count > 0 ? `👍 Поддерживаю · ${count}` : '👍 Поддерживаю'),
+  'idea.voted': 'Спасибо, ваш голос учтён',
+  'idea.already_voted': 'Вы уже поддержали эту идею',
+  'idea.not_found': 'Эта идея больше недоступна',
+  'idea.report': ({ id, delivered, blocked, failed, sending }) => `💡 Идея ${id} опубликована для всех пользователей\n\n` +
+    `Доставлено: ${delivered}\nЗаблокировали бота (доступ отозван): ${blocked}\nОшибки доставки: ${failed}\n\n` +
+    (sending ? '⏳ Рассылка продолжается' : '✅ Рассылка завершена. Голоса: /ideas'),
+  'idea.published_channel': '💡 Идея {id} опубликована в канале. Голоса: /ideas',
+
+  // Scheduled jobs
+  'maintenance.revoked_all': '🔒 Доступ отозван у всех пользователей: {count}',
+  'maintenance.title': '🛠 Обслуживание',
+  'maintenance.test_logs': '🧹 Удалено тестовых логов: {count}',
+  'maintenance.stats': '📦 Статистика за {days} дн. свёрнута по месяцам ({months})',
+  'maintenance.reminders': ({ sent, failed }) => `⏳ Напоминаний об окончании доступа: ${sent}${failed > 0 ? `, не доставлено: ${failed}` : ''}`,
+  'maintenance.error': '⚠️ Ошибка: {error}',
+
+  // Command menus
+  'menu.new': 'Написать новое сообщение',
+  'menu.cancel': 'Отменить текущий черновик',
+  'menu.help': 'Как пользоваться ботом',
+  'menu.privacy': 'Что бот хранит и чего не хранит',
+  'menu.language': 'Язык бота',
+  'menu.status': 'Статус обращения по коду',
+  'menu.admin.help': 'Команды администраторов',
+  'menu.admin.stats': 'Статистика сообщений',
+  'menu.admin.invite': 'Создать приглашения',
+  'menu.admin.invites': 'Активные приглашения',
+  'menu.admin.taxonomy': 'Категории и темы',
+  'menu.admin.routing': 'Маршрутизация по чатам',
+  'menu.admin.survey': 'Запустить опрос',
+  'menu.admin.announce': 'Объявление всем пользователям',
+  'menu.admin.ideas': 'Рейтинг опубликованных идей',
+
+  // Admin commands
+  'admin.error': 'Произошла ошибка при выполнении команды.',
+  'admin.invite.usage': '⚠️ Неверные параметры (кол-во 1–50, срок 1–365 дн.).\n\n' +
+    'Использование: /invite [кол-во] [активаций] [дней] [метка]',
+  'admin.invite.label_too_long': '⚠️ Слишком длинная метка: не больше {max} символов.',
+  'admin.invite.created': ({ count, uses, days, label, links }) =>
+    `🎟 Создано приглашений: ${count} (активаций: ${uses}, срок: ${days} дн.${label ? `, метка «${label}»` : ''})\n\n${links}`,
+  'admin.invites.none': 'Активных приглашений нет.',
+  'admin.invites.item': ({ code, uses, maxUses, date, label }) =>
+    `${code} — ${uses}/${maxUses}, до ${date}${label ? `, «${label}»` : ''}`,
+  'admin.invites.list': '🎟 Активные приглашения ({count}):\n\n{lines}',
+  'admin.revoke_invite.usage': 'Использование: /revoke_invite <код>',
+  'admin.revoke_invite.done': '✅ Приглашение отозвано.',
+  'admin.revoke_invite.not_found': 'Приглашение не найдено или уже использовано.',
+  'admin.taxonomy.list': 'Категории:\n{categories}\n\nТемы:\n{topics}',
+  'admin.taxonomy.disabled': ' (выключено)',
+  'admin.taxonomy.unknown_kind': 'Укажите category или topic',
+  'admin.taxonomy.not_found': 'Элемент {key} не найден',
+  'admin.taxonomy.invalid_json': 'Не удалось разобрать JSON. Используйте /taxonomy_json как шаблон.',
+  'admin.taxonomy.item_usage': 'Использование: /{kind} <ключ> <эмодзи или -> <название>',
+  'admin.taxonomy.toggle_usage': 'Использование: /{command} <category|topic> <ключ>',
+  'admin.taxonomy.order_usage': 'Использование: /order <category|topic> <ключ> <номер>',
+  'admin.routing.empty': 'Маршрутизация не настроена: все сообщения идут в этот чат.',
+  'admin.routing.no_controls': ' (без кнопок)',
+  'admin.routing.list': 'Маршруты (категория → тема: чаты):\n\n{lines}\n\nСообщения без подходящего маршрута идут в этот чат.',
+  'admin.routing.invalid_json': 'Не удалось разобрать JSON.',
+  'admin.stats.usage': 'Использование: /stats [today|week|month|quarter|year|<дней 1–{max}>]',
+  'admin.stats.report': '📊 Статистика за {days} дн. ({from} – {to}, UTC)\n\n' +
+    'Сообщений: {total}\n' +
+    'Активных пользователей: {users}\n\n' +
+    'Категории:\n{categories}\n\n' +
+    'Темы:\n{topics}\n\n' +
+    'Тональность:\n{sentiments}',
+  'admin.stats.abusive': '🚫 Резкие формулировки: {count}',
+  'admin.stats.by_month': 'По месяцам (месяц целиком):',
+  'admin.stats.by_day': 'По дням:',
+  'admin.stats.by_week': 'По неделям:',
+  'admin.trusted.usage': 'Использование: /trusted [date|label|invite]',
+  'admin.trusted.by_date': 'по дате активации',
+  'admin.trusted.by_label': 'по метке приглашения',
+  'admin.trusted.by_invite': 'по коду приглашения',
+  'admin.trusted.unknown_date': 'дата неизвестна',
+  'admin.trusted.no_label': 'без метки',
+  'admin.trusted.shared_token': 'общий токен / неизвестно',
+  'admin.trusted.none': ({ lapsed }) => `Активированных пользователей нет.${lapsed > 0 ? ` Доступ недавно истёк: ${lapsed}.` : ''}`,
+  'admin.trusted.report': ({ count, warningDays, expiringSoon, lapsed, grouping, lines }) =>
+    `👥 Активированных пользователей: ${count} (истекает в ближайшие ${warningDays} дн.: ${expiringSoon})` +
+    `${lapsed > 0 ? `\nДоступ недавно истёк: ${lapsed}` : ''}\n\n` +
+    `Группировка ${grouping}:\n${lines}`,
+  'admin.selector.invite': 'по приглашению {code}',
+  'admin.selector.dates': 'активированные {from} – {to}',
+  'admin.selector.all': 'все пользователи',
+  'admin.revoke_users.usage': 'Использование:\n/revoke_users invite <код>\n/revoke_users dates <ГГГГ-ММ-ДД> [ГГГГ-ММ-ДД]\n\n' +
+    'Для отзыва у всех используйте REVOKE_ALL_ACCESS.',
+  'admin.revoke_users.done': '🔒 Доступ отозван ({selection}): {count}',
+  'admin.trust_days.usage': 'Использование: /trust_days <±дней до {max}> <invite <код> | dates <с> [по] | all>\n\n' +
+    'Например: /trust_days 30 all или /trust_days -10 invite abc123',
+  'admin.trust_days.done': ({ days, selection, updated, revoked }) =>
+    `✅ Срок доступа ${days > 0 ? 'продлён' : 'сокращён'} на ${Math.abs(days)} дн. (${selection}): ${updated}` +
+    (revoked > 0 ? `, доступ истёк и отозван: ${revoked}` : ''),
+  'admin.survey.usage': 'Использование:\n/survey <часов 1–{max}> <вопрос> | <вариант> | <вариант> …\n' +
+    '/survey <часов> <вопрос> — оценка по шкале от 1 до 10\n\n' +
+    'Вариантов — от 2 до {maxOptions}, каждый до {maxOptionLength} символов; вопрос — до {maxQuestionLength} символов.',
+  'admin.survey.close_usage': 'Использование: /survey_close <код опроса>',
+  'admin.survey.not_found': 'Опрос не найден.',
+  'admin.survey.already_closed': 'Опрос уже закрыт.',
+  'admin.announce.usage': 'Использование:\n/announce <текст> — разослать текст всем пользователям\n' +
+    'или ответьте командой /announce на своё сообщение в этом чате, чтобы разослать его как есть (с фото, видео или файлом).',
+  'admin.announce.bot_message': 'Сообщения бота не рассылаются: так можно случайно показать всем чужую обратную связь. ' +
+    'Отправьте объявление отдельным сообщением и ответьте на него командой /announce.',
+  'admin.publish.usage': 'Ответьте командой на сообщение с обратной связью:\n' +
+    '/publish [users|channel] [отредактированный текст]\n\n' +
+    'Без текста публикуется текст сообщения без заголовка, категории и статуса. ' +
+    'users — разослать всем пользователям, channel — опубликовать в канале IDEAS_CHANNEL_ID ' +
+    '(по умолчанию канал, если он настроен). Текст — до {max} символов.',
+  'admin.publish.no_channel': 'Канал для идей не настроен (IDEAS_CHANNEL_ID). Используйте /publish users.',
+  'admin.publish.pii': '⚠️ В тексте есть детали, по которым можно узнать автора ({types}). ' +
+    'Опубликуйте отредактированный текст: /publish [users|channel] <текст>',
+  'admin.publish.failed': '⚠️ Не удалось опубликовать идею в канале: {error}',
+  'admin.ideas.header': '🏆 Опубликованные идеи по числу голосов\n',
+  'admin.ideas.item': '{rank}. 👍 {votes} · {id} · {date}\n{text}',
+  'admin.response.usage': 'Использование: /response <номер обращения> <текст>\n/response <номер обращения> - — удалить ответ\n\n' +
+    'Ответ виден всем, у кого есть код квитанции обращения. Текст — до {max} символов.',
+  'admin.response.not_found': 'Обращение #{number} не найдено.',
+  'admin.response.saved': '✅ Ответ на обращение #{number} сохранён, автор увидит его по /status.',
+  'admin.response.cleared': '🗑 Ответ на обращение #{number} удалён.',
+  'admin.ideas.empty': 'Опубликованных идей пока нет. Ответьте /publish на сообщение с идеей.',
+  'admin.help': 'Команды администраторов:\n\n' +
+    '/invite [кол-во] [активаций] [дней] [метка] — создать приглашения\n' +
+    '/invites — активные приглашения\n' +
+    '/revoke_invite <код> — отозвать приглашение\n\n' +
+    '/trusted [date|label|invite] — активированные пользователи по группам\n' +
+    '/revoke_users <invite <код> | dates <с> [по]> — отозвать доступ у группы\n' +
+    '/trust_days <±дней> <invite <код> | dates <с> [по] | all> — изменить срок доступа\n\n' +
+    '/taxonomy — категории и темы\n' +
+    '/category <ключ> <эмодзи|-> <название> — добавить или переименовать категорию\n' +
+    '/topic <ключ> <эмодзи|-> <название> — добавить или переименовать тему\n' +
+    '/enable, /disable <category|topic> <ключ> — включить или выключить\n' +
+    '/order <category|topic> <ключ> <номер> — изменить порядок\n' +
+    '/taxonomy_json, /taxonomy_set <json>, /taxonomy_reset — редактировать целиком\n\n' +
+    '/routing — маршрутизация по чатам\n' +
+    '/routing_json, /routing_set <json>, /routing_reset — редактировать маршруты\n\n' +
+    '/stats [today|week|month|quarter|year|<дней>] — статистика сообщений\n\n' +
+    '/survey <часов> <вопрос> | <вариант> | … — анонимный опрос всех пользователей (без вариантов — шкала 1–10)\n' +
+    '/survey_close <код> — закрыть опрос досрочно\n\n' +
+    '/announce <текст> — объявление всем пользователям (или ответом на сообщение с медиа)\n\n' +
+    '/publish [users|channel] [текст] — ответом на обратную связь: опубликовать идею для голосования\n' +
+    '/ideas — рейтинг опубликованных идей\n\n' +
+    '/response <номер> <текст|-> — публичный ответ на обращение, виден автору по /status (- удаляет)\n\n' +
+    'Ответьте на сообщение с обратной связью, чтобы написать автору анонимно.',
+
+  // Validation errors shown to admins
+  'taxonomy.error.object': 'Ожидается объект с полями categories и topics',
+  'taxonomy.error.items': '{field}: нужен список из 1–{max} элементов',
+  'taxonomy.error.key': '{field}[{index}]: ключ должен состоять из a-z, 0-9 и _ (до 32 символов)',
+  'taxonomy.error.duplicate_key': '{field}: ключ {key} повторяется',
+  'taxonomy.error.label': '{field}.{key}: название должно быть от 1 до {max} символов',
+  'taxonomy.error.labels': '{field}.{key}: labels должен сопоставлять языки ({languages}) с названиями от 1 до {max} символов',
+  'taxonomy.error.none_enabled': '{field}: должен быть включён хотя бы один элемент',
+  'routing.error.object': 'Ожидается объект { "routes": [...] } с не более чем {max} правилами',
+  'routing.error.match': 'routes[{index}]: category и topic должны быть строками',
+  'routing.error.destinations': 'routes[{index}]: нужен список destinations из 1–{max} чатов',
+  'routing.error.chat_id': 'routes[{index}]: неверный chatId "{chatId}"',
+  'routing.error.thread_id': 'routes[{index}]: threadId должен быть целым числом'
+};
+
+/**
+ * Supportive phrases shown after a message is sent
+ */
+const phrases = [
+  'Спасибо, что делитесь — такие слова делают нас лучше 💪',
+  'Смелость — первый шаг к изменениям. Вы сделали его 👏',
+  'Важно слышать друг друга. Спасибо, что написали 💬',
+  'Ваше сообщение обязательно прочитают — ценим вашу открытость ❤️',
+  'Каждое мнение важно. Благодарим за доверие 🙏',
+  'Вместе мы сильнее. Спасибо за вашу честность 💙',
+  'Ваш голос услышан. Это важно для всех нас 🎯',
+  'Открытость — основа роста. Спасибо за вклад 🌱',
+  'Ценим вашу смелость говорить о важном 🔥',
+  'Такие сообщения помогают нам становиться лучше 🚀',
+  'Спасибо за то, что не молчите. Это ценно 💎',
+  'Ваше мнение — часть нашего общего пути вперёд 🛤️',
+  'Благодарим за искренность и открытость 🌟',
+  'Вы помогаете создавать лучшую атмосферу в команде 🤝',
+  'Каждое слово важно. Спасибо, что поделились 📢',
+  'Ваша обратная связь — это шаг к позитивным изменениям ✨',
+  'Говорить правду — это сила. Спасибо за вашу силу 💫',
+  'Ваши слова не останутся без внимания 👀',
+  'Благодарим за то, что помогаете нам расти 🌳',
+  'Такая открытость вдохновляет. Спасибо 🎨',
+  'Ваше мнение делает команду сильнее 🏆',
+  'Ценим каждого, кто не боится высказаться 🦁',
+  'Вместе мы создаём культуру доверия 🌈',
+  'Спасибо за вашу смелость и искренность 🎭',
+  'Ваш фидбек — это вклад в общее дело 🎪',
+  'Говорить о важном — это уже победа 🥇',
+  'Благодарим за то, что делаете команду лучше 🌺',
+  'Ваше сообщение ценно для всех нас 🎁',
+  'Открытый диалог — основа доверия. Спасибо 🗣️',
+  'Ваша честность помогает нам двигаться вперёд 🧭',
+  'Каждый голос важен. Ваш — особенно 🎤',
+  'Спасибо за то, что не остаётесь равнодушными 🔔',
+  'Ваши слова — это катализатор перемен ⚡',
+  'Благодарим за доверие и открытость 🕊️',
+  'Вы делаете важное дело, делясь своим мнением 🎯',
+  'Ваш голос — это начало изменений 🌊',
+  'Спасибо за то, что заботитесь о команде 💝',
+  'Такие сообщения создают здоровую культуру 🌿',
+  'Ваша откровенность — это подарок для всех 🎀',
+  'Благодарим за активную позицию 🎬',
+  'Вы вносите вклад в наше общее будущее 🔮',
+  'Ценим ваше желание сделать всё лучше 🎯',
+  'Спасибо за конструктивный диалог 🏗️',
+  'Ваше участие делает разницу 🌟',
+  'Говорить открыто — это проявление заботы 💚',
+  'Благодарим за вашу энергию и вовлечённость ⚡',
+  'Ваш фидбек — это инвестиция в команду 💰',
+  'Спасибо за то, что делаете первый шаг 👣',
+  'Ваши слова помогают нам видеть полную картину 🖼️',
+  'Ценим вашу готовность к открытому диалогу 🎙️'
+];
+
+export default { messages, phrases };
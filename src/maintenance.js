@@ -0,0 +1,184 @@
+/**
+ * Maintenance Module
+ * Periodic housekeeping run from the cron trigger: one-shot access revocation,
+ * test log cleanup, statistics compaction and trust expiry reminders
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { revokeAllAccess, listTrustedUsers, markExpiryReminderSent } from './auth.js';
+import { compactStats } from './stats.js';
+import { sendMessage } from './telegram.js';
+import { t, resolveLanguage } from './i18n.js';
+
+const REVOCATION_MARKER_KEY = 'maintenance:revoke_all';
+const TEST_LOG_KEY_PREFIX = 'test_log:';
+const TEST_LOG_RETENTION_DAYS = 7;
+const DAY_MS = 86400000;
+
+/**
+ * Revokes all access once per REVOKE_ALL_ACCESS=true period
+ * A KV marker prevents repeated revocations, so users can re-activate
+ * while the variable is still set; setting it back to false re-arms it
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{revokedCount: number}|null>} Result, or null if nothing was done
+ */
+export async function runAccessRevocation(env) {
+  const config = getConfig(env);
+  const marker = await env.KV.get(REVOCATION_MARKER_KEY);
+
+  if (!config.revokeAllAccess) {
+    if (marker) {
+      await env.KV.delete(REVOCATION_MARKER_KEY);
+    }
+    return null;
+  }
+
+  if (marker) {
+    return null;
+  }
+
+  // Write the marker first: a second run must not revoke users who re-activated in between
+  await env.KV.put(REVOCATION_MARKER_KEY, JSON.stringify({ revokedAt: Date.now() }));
+
+  const result = await revokeAllAccess(env);
+  console.log('One-shot access revocation finished:', JSON.stringify(result));
+
+  return result;
+}
+
+/**
+ * Deletes test logs: all of them outside TEST_MODE (they contain user IDs),
+ * otherwise those older than TEST_LOG_RETENTION_DAYS
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function purgeTestLogs(env) {
+  const { testMode } = getConfig(env);
+  const cutoff = Date.now() - TEST_LOG_RETENTION_DAYS * DAY_MS;
+  let deleted = 0;
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: TEST_LOG_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      const timestamp = parseInt(key.name.slice(TEST_LOG_KEY_PREFIX.length), 10);
+
+      if (!testMode || !timestamp || timestamp < cutoff) {
+        await env.KV.delete(key.name);
+        deleted++;
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return deleted;
+}
+
+/**
+ * Warns users whose trust expires within TRUST_WARNING_DAYS
+ * Each user is warned once per expiry; renewal or an admin change re-arms it.
+ * The text depends on whether activity can still renew the trust
+ * or TRUST_MAX_DAYS is reached and a new invite is needed
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function sendExpiryReminders(env) {
+  const { trustMaxDays, trustWarningDays } = getConfig(env);
+  const now = Date.now();
+  const result = { sent: 0, failed: 0 };
+  const users = await listTrustedUsers(env);
+
+  for (const user of users) {
+    if (user.reminded || !user.expiresAt || user.expiresAt <= now || user.expiresAt - now > trustWarningDays * DAY_MS) {
+      continue;
+    }
+
+    const daysLeft = Math.max(1, Math.ceil((user.expiresAt - now) / DAY_MS));
+    const expiryDate = new Date(user.expiresAt).toISOString().slice(0, 10);
+    const renewable = Boolean(user.activatedAt && user.activatedAt + trustMaxDays * DAY_MS > user.expiresAt + DAY_MS);
+
+    const sendResult = await sendMessage(
+      user.userId,
+      t(resolveLanguage(user.language, env), 'auth.reminder', { date: expiryDate, days: daysLeft, renewable }),
+      {},
+      env
+    );
+
+    // Users who blocked the bot are not retried every day
+    await markExpiryReminderSent(user.userId, env);
+
+    if (sendResult.success) {
+      result.sent++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Runs the daily maintenance jobs; a failing job doesn't stop the others
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{testLogsPurged: number, stats: Object|null, reminders: Object|null, errors: Array<string>}>}
+ */
+export async function runMaintenance(env) {
+  const report = { testLogsPurged: 0, stats: null, reminders: null, errors: [] };
+
+  const jobs = [
+    ['test_log', async () => { report.testLogsPurged = await purgeTestLogs(env); }],
+    ['stats', async () => { report.stats = await compactStats(env); }],
+    ['reminders', async () => { report.reminders = await sendExpiryReminders(env); }]
+  ];
+
+  for (const [name, job] of jobs) {
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Maintenance job ${name} failed:`, error.message, error.stack);
+      report.errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Formats a maintenance report for the admin chat
+ * @param {Object} report - Report from runMaintenance
+ * @param {string} language - Admin language
+ * @returns {string|null} Report text, or null if nothing happened
+ */
+export function formatMaintenanceReport(report, language) {
+  const lines = [];
+
+  if (report.testLogsPurged > 0) {
+    lines.push(t(language, 'maintenance.test_logs', { count: report.testLogsPurged }));
+  }
+
+  if (report.stats && report.stats.compactedDays > 0) {
+    lines.push(t(language, 'maintenance.stats', { days: report.stats.compactedDays, months: report.stats.months }));
+  }
+
+  if (report.reminders && (report.reminders.sent > 0 || report.reminders.failed > 0)) {
+    lines.push(t(language, 'maintenance.reminders', report.reminders));
+  }
+
+  for (const error of report.errors) {
+    lines.push(t(language, 'maintenance.error', { error }));
+  }
+
+  return lines.length > 0 ? `${t(language, 'maintenance.title')}\n\n${lines.join('\n')}` : null;
+}
+
+/**
+ * Sends a maintenance message to the admin chat
+ * @param {string} text - Message text
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function reportToAdmins(text, env) {
+  await sendMessage(getAdminChatId(getConfig(env)), text, {}, env);
+}
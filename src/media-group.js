@@ -0,0 +1,209 @@
+/**
+ * Media Group Collector Module
+ * Telegram delivers an album as separate messages. A Durable Object per user
+ * buffers the items in strongly consistent storage and adds the album to the
+ * draft once, after no new item has arrived for MEDIA_GROUP_SETTLE_MS
+ */
+
+import { sendMessage } from './telegram.js';
+import { getSession, updateSession, appendToDraft } from './session.js';
+import { processMessageForSentiment } from './confirmation.js';
+import { checkDraftLimits, showComposeStatus } from './compose.js';
+import { t, resolveLanguage } from './i18n.js';
+
+const MEDIA_GROUP_SETTLE_MS = 1500;
+const MEDIA_GROUP_RETAIN_MS = 60000; // Late items of a settled album still update its confirmation
+const MAX_MEDIA_GROUP_ITEMS = 10; // Telegram's album limit
+const GROUP_STORAGE_KEY = 'group';
+
+/**
+ * Buffered album schema definition
+ * @typedef {Object} MediaGroup
+ * @property {string} userId - Telegram user ID
+ * @property {number|string} chatId - User's chat ID
+ * @property {string} mediaGroupId - Telegram media_group_id
+ * @property {string} language - User's language, for replies when the session is gone
+ * @property {Array<MediaItem & {messageId: number}>} items - Album items (see media.js)
+ * @property {string} caption - Album caption (Telegram puts it on one item)
+ * @property {boolean} settled - Whether the confirmation has already been shown
+ */
+
+/**
+ * Passes an album item to the user's collector
+ * @param {string} userId - Telegram user ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} message - Telegram Message object that belongs to a media group
+ * @param {MediaItem|null} mediaItem - Media extracted from the message (see media.js)
+ * @param {string} language - User's language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ * @throws {Error} If the MEDIA_GROUPS binding is missing or the collector fails
+ */
+export async function collectMediaGroupItem(userId, chatId, message, mediaItem, language, env) {
+  if (!env.MEDIA_GROUPS) {
+    throw new Error('MEDIA_GROUPS Durable Object binding is not configured');
+  }
+
+  const stub = env.MEDIA_GROUPS.get(env.MEDIA_GROUPS.idFromName(userId));
+  const response = await stub.fetch('https://media-group/add', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      userId,
+      chatId,
+      mediaGroupId: message.media_group_id,
+      language,
+      caption: message.caption || '',
+      item: mediaItem ? { messageId: message.message_id, ...mediaItem } : null
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Media group collector responded with ${response.status}`);
+  }
+}
+
+/**
+ * Durable Object that collects one user's album items
+ */
+export class MediaGroupCollector {
+  /**
+   * @param {Object} state - Durable Object state (storage, id)
+   * @param {Object} env - Environment bindings
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Adds an item and (re)starts the settle timer
+   * @param {Request} request - POST with the item from collectMediaGroupItem
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const { userId, chatId, mediaGroupId, language, caption, item } = await request.json();
+    const storage = this.state.storage;
+
+    let group = await storage.get(GROUP_STORAGE_KEY);
+
+    // A new album replaces whatever was buffered before, like a new text message would
+    if (!group || group.mediaGroupId !== mediaGroupId) {
+      group = { userId, chatId, mediaGroupId, language, items: [], caption: '', settled: false };
+    }
+
+    const duplicate = item && group.items.some(existing => existing.messageId === item.messageId);
+
+    if (item && !duplicate && group.items.length < MAX_MEDIA_GROUP_ITEMS) {
+      group.items.push(item);
+    }
+
+    if (caption && !group.caption) {
+      group.caption = caption;
+    }
+
+    group.settled = false;
+    await storage.put(GROUP_STORAGE_KEY, group);
+    await storage.setAlarm(Date.now() + MEDIA_GROUP_SETTLE_MS);
+
+    return new Response('OK');
+  }
+
+  /**
+   * Runs the confirmation for a settled album, or clears storage after it
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    const storage = this.state.storage;
+    const group = await storage.get(GROUP_STORAGE_KEY);
+
+    if (!group) {
+      return;
+    }
+
+    if (group.settled) {
+      // Nothing arrived during the retention window
+      await storage.deleteAll();
+      return;
+    }
+
+    // Mark as settled before running the confirmation so a retried alarm can't repeat it
+    group.settled = true;
+    await storage.put(GROUP_STORAGE_KEY, group);
+    await storage.setAlarm(Date.now() + MEDIA_GROUP_RETAIN_MS);
+
+    try {
+      await finalizeMediaGroup(group, this.env);
+    } catch (error) {
+      // Not rethrown: a failed alarm is retried, which would show the confirmation twice
+      console.error('Error finalizing media group:', error.message, error.stack);
+    }
+  }
+}
+
+/**
+ * Adds a complete album to the draft and shows the compose status or the confirmation
+ * @param {MediaGroup} group - Settled album
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function finalizeMediaGroup(group, env) {
+  const { userId, chatId, mediaGroupId } = group;
+  const session = await getSession(userId, env);
+  const language = resolveLanguage([session && session.language, group.language], env);
+
+  if (!session) {
+    await sendMessage(chatId, t(language, 'common.session_expired'), {}, env);
+    return;
+  }
+
+  // Albums are added to the draft being composed or, from the confirmation, as extra
+  // attachments; late items of an album rebuild the content from the same base
+  const isSameAlbum = session.mediaGroupId === mediaGroupId && Boolean(session.albumBase) &&
+    ['message', 'add_media', 'confirm', 'sentiment_review'].includes(session.step);
+  if (session.step !== 'message' && session.step !== 'add_media' && !isSameAlbum) {
+    await sendMessage(chatId, t(language, 'common.follow_instructions'), {}, env);
+    return;
+  }
+
+  // Keep the album order even if webhooks arrived out of order
+  const mediaItems = [...group.items]
+    .sort((a, b) => a.messageId - b.messageId)
+    .map(({ messageId, ...mediaItem }) => mediaItem);
+
+  if (!group.caption && mediaItems.length === 0) {
+    await sendMessage(chatId, t(language, 'common.send_text_or_media'), {}, env);
+    return;
+  }
+
+  const albumBase = isSameAlbum
+    ? session.albumBase
+    : { messageText: session.messageText || '', mediaItems: session.mediaItems || [] };
+
+  const content = appendToDraft(albumBase, group.caption, mediaItems);
+  const limitError = checkDraftLimits(content, language);
+  if (limitError) {
+    await sendMessage(chatId, t(language, 'compose.album_rejected', { reason: limitError }), {}, env);
+    return;
+  }
+
+  const composing = session.step === 'message';
+  const captionChanged = content.messageText !== (session.messageText || '');
+  const updatedSession = await updateSession(userId, {
+    ...content,
+    mediaGroupId: mediaGroupId,
+    albumBase: albumBase,
+    sentimentChecked: session.sentimentChecked && !captionChanged,
+    sentimentReviewed: session.sentimentReviewed && !captionChanged,
+    step: 'message'
+  }, env);
+
+  if (composing) {
+    await showComposeStatus(userId, chatId, updatedSession, env);
+    return;
+  }
+
+  // Late items update the album's confirmation; otherwise a new one is sent below the album
+  const confirmMessageId = isSameAlbum ? updatedSession.confirmMessageId || null : null;
+  await processMessageForSentiment(userId, chatId, updatedSession, env, confirmMessageId);
+}
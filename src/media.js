@@ -0,0 +1,195 @@
+/**
+ * Media Module
+ * Extracts attachments from user messages and sends them to admin chats
+ * with the matching Telegram methods
+ */
+
+import {
+  sendPhoto,
+  sendVideo,
+  sendDocument,
+  sendVoice,
+  sendAudio,
+  sendAnimation,
+  sendVideoNote,
+  sendSticker,
+  sendLocation,
+  sendMediaGroup
+} from './telegram.js';
+import { t } from './i18n.js';
+
+/**
+ * Attachment schema definition
+ * @typedef {Object} MediaItem
+ * @property {string} type - 'photo' | 'video' | 'document' | 'voice' | 'audio' | 'video_note' | 'animation' | 'sticker' | 'location'
+ * @property {string} [fileId] - Telegram file_id (all types except location)
+ * @property {number} [latitude] - Latitude (location only)
+ * @property {number} [longitude] - Longitude (location only)
+ */
+
+/**
+ * Message fields with a file, in the order they are checked.
+ * Animations also come with a document field, so they are checked first
+ */
+const FILE_TYPES = ['animation', 'video', 'video_note', 'voice', 'audio', 'document', 'sticker'];
+
+/**
+ * Types that can carry the admin post as caption
+ */
+const CAPTION_TYPES = new Set(['photo', 'video', 'document', 'voice', 'audio', 'animation']);
+
+/**
+ * sendMediaGroup only accepts albums of photos and videos, of audio files or of documents
+ */
+const ALBUM_FAMILIES = { photo: 'visual', video: 'visual', audio: 'audio', document: 'document' };
+const MAX_ALBUM_ITEMS = 10;
+
+/**
+ * Attachment types that can reveal the author by themselves (warned about as 'media.warning.<type>')
+ */
+const REVEALING_TYPES = ['voice', 'video_note', 'location'];
+
+/**
+ * Extracts the attachment of a message
+ * @param {Object} message - Telegram Message object
+ * @returns {MediaItem|null} Attachment, or null for text-only messages
+ */
+export function extractMediaItem(message) {
+  if (message.photo && message.photo.length > 0) {
+    // Get the largest photo (last in array)
+    return { type: 'photo', fileId: message.photo[message.photo.length - 1].file_id };
+  }
+
+  for (const type of FILE_TYPES) {
+    if (message[type] && message[type].file_id) {
+      return { type, fileId: message[type].file_id };
+    }
+  }
+
+  if (message.location) {
+    return { type: 'location', latitude: message.location.latitude, longitude: message.location.longitude };
+  }
+
+  return null;
+}
+
+/**
+ * Returns a stable key of an attachment, e.g. for duplicate detection
+ * @param {MediaItem} item - Attachment
+ * @returns {string}
+ */
+export function getMediaKey(item) {
+  return item.type === 'location' ? `location:${item.latitude},${item.longitude}` : item.fileId;
+}
+
+/**
+ * Lists warnings for attachments that can identify the author
+ * @param {Array<MediaItem>} mediaItems - Attachments
+ * @param {string} language - User's language
+ * @returns {Array<string>} One warning per revealing type
+ */
+export function getRevealingMediaWarnings(mediaItems, language) {
+  const types = new Set((mediaItems || []).map(item => item.type));
+  return REVEALING_TYPES.filter(type => types.has(type)).map(type => t(language, `media.warning.${type}`));
+}
+
+/**
+ * Splits attachments into the messages needed to send them, keeping their order:
+ * neighbours of the same album family share an album, everything else goes alone
+ * @param {Array<MediaItem>} mediaItems - Attachments
+ * @returns {Array<Array<MediaItem>>} One entry per Telegram message (album or single item)
+ */
+export function planMediaMessages(mediaItems) {
+  const messages = [];
+
+  for (const item of mediaItems) {
+    const family = ALBUM_FAMILIES[item.type];
+    const current = messages[messages.length - 1];
+
+    if (family && current && ALBUM_FAMILIES[current[0].type] === family && current.length < MAX_ALBUM_ITEMS) {
+      current.push(item);
+    } else {
+      messages.push([item]);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Checks whether attachments go out as one message that can carry a caption
+ * @param {Array<MediaItem>} mediaItems - Attachments
+ * @returns {boolean}
+ */
+export function canCarryCaption(mediaItems) {
+  const messages = planMediaMessages(mediaItems);
+  return messages.length === 1 && CAPTION_TYPES.has(messages[0][0].type);
+}
+
+/**
+ * Sends attachments as albums and single messages, in order
+ * The caption goes to the first message; stops at the first failure
+ * @param {number|string} chatId - Destination chat ID
+ * @param {Array<MediaItem>} mediaItems - Attachments
+ * @param {string} caption - Caption for the first message, may be empty
+ * @param {Object} options - Additional Telegram options for every message
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageIds: Array<number>, error?: string}>}
+ */
+export async function sendMediaItems(chatId, mediaItems, caption, options, env) {
+  const messageIds = [];
+  let pendingCaption = caption;
+
+  for (const items of planMediaMessages(mediaItems)) {
+    const result = items.length > 1
+      ? await sendMediaGroup(chatId, items.map((item, index) => ({
+        type: item.type,
+        media: item.fileId,
+        caption: index === 0 && pendingCaption ? pendingCaption : undefined
+      })), options, env)
+      : await sendMediaItem(chatId, items[0], pendingCaption, options, env);
+
+    if (!result.success) {
+      return { success: false, messageIds, error: result.error };
+    }
+
+    messageIds.push(...(result.messageIds || [result.messageId]));
+    pendingCaption = '';
+  }
+
+  return { success: true, messageIds };
+}
+
+/**
+ * Sends one attachment with the method for its type
+ * @param {number|string} chatId - Destination chat ID
+ * @param {MediaItem} item - Attachment
+ * @param {string} caption - Caption, ignored by types that can't carry one
+ * @param {Object} options - Additional Telegram options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+function sendMediaItem(chatId, item, caption, options, env) {
+  switch (item.type) {
+    case 'photo':
+      return sendPhoto(chatId, item.fileId, caption, options, env);
+    case 'video':
+      return sendVideo(chatId, item.fileId, caption, options, env);
+    case 'document':
+      return sendDocument(chatId, item.fileId, caption, options, env);
+    case 'voice':
+      return sendVoice(chatId, item.fileId, caption, options, env);
+    case 'audio':
+      return sendAudio(chatId, item.fileId, caption, options, env);
+    case 'animation':
+      return sendAnimation(chatId, item.fileId, caption, options, env);
+    case 'video_note':
+      return sendVideoNote(chatId, item.fileId, options, env);
+    case 'sticker':
+      return sendSticker(chatId, item.fileId, options, env);
+    case 'location':
+      return sendLocation(chatId, item.latitude, item.longitude, options, env);
+    default:
+      return Promise.resolve({ success: false, error: `Unsupported media type: ${item.type}` });
+  }
+}
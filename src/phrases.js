@@ -3,64 +3,15 @@
  * Provides emotional support messages for users after they submit feedback
  */
 
-const PHRASES = [
-    "Спасибо, что делитесь — такие слова делают нас лучше 💪",
-    "Смелость — первый шаг к изменениям. Вы сделали его 👏",
-    "Важно слышать друг друга. Спасибо, что написали 💬",
-    "Ваше сообщение обязательно прочитают — ценим вашу открытость ❤️",
-    "Каждое мнение важно. Благодарим за доверие 🙏",
-    "Вместе мы сильнее. Спасибо за вашу честность 💙",
-    "Ваш голос услышан. Это важно для всех нас 🎯",
-    "Открытость — основа роста. Спасибо за вклад 🌱",
-    "Ценим вашу смелость говорить о важном 🔥",
-    "Такие сообщения помогают нам становиться лучше 🚀",
-    "Спасибо за то, что не молчите. Это ценно 💎",
-    "Ваше мнение — часть нашего общего пути вперёд 🛤️",
-    "Благодарим за искренность и открытость 🌟",
-    "Вы помогаете создавать лучшую атмосферу в команде 🤝",
-    "Каждое слово важно. Спасибо, что поделились 📢",
-    "Ваша обратная связь — это шаг к позитивным изменениям ✨",
-    "Говорить правду — это сила. Спасибо за вашу силу 💫",
-    "Ваши слова не останутся без внимания 👀",
-    "Благодарим за то, что помогаете нам расти 🌳",
-    "Такая открытость вдохновляет. Спасибо 🎨",
-    "Ваше мнение делает команду сильнее 🏆",
-    "Ценим каждого, кто не боится высказаться 🦁",
-    "Вместе мы создаём культуру доверия 🌈",
-    "Спасибо за вашу смелость и искренность 🎭",
-    "Ваш фидбек — это вклад в общее дело 🎪",
-    "Говорить о важном — это уже победа 🥇",
-    "Благодарим за то, что делаете команду лучше 🌺",
-    "Ваше сообщение ценно для всех нас 🎁",
-    "Открытый диалог — основа доверия. Спасибо 🗣️",
-    "Ваша честность помогает нам двигаться вперёд 🧭",
-    "Каждый голос важен. Ваш — особенно 🎤",
-    "Спасибо за то, что не остаётесь равнодушными 🔔",
-    "Ваши слова — это катализатор перемен ⚡",
-    "Благодарим за доверие и открытость 🕊️",
-    "Вы делаете важное дело, делясь своим мнением 🎯",
-    "Ваш голос — это начало изменений 🌊",
-    "Спасибо за то, что заботитесь о команде 💝",
-    "Такие сообщения создают здоровую культуру 🌿",
-    "Ваша откровенность — это подарок для всех 🎀",
-    "Благодарим за активную позицию 🎬",
-    "Вы вносите вклад в наше общее будущее 🔮",
-    "Ценим ваше желание сделать всё лучше 🎯",
-    "Спасибо за конструктивный диалог 🏗️",
-    "Ваше участие делает разницу 🌟",
-    "Говорить открыто — это проявление заботы 💚",
-    "Благодарим за вашу энергию и вовлечённость ⚡",
-    "Ваш фидбек — это инвестиция в команду 💰",
-    "Спасибо за то, что делаете первый шаг 👣",
-    "Ваши слова помогают нам видеть полную картину 🖼️",
-    "Ценим вашу готовность к открытому диалогу 🎙️"
-];
+import { getCatalog } from './i18n.js';
 
 /**
- * Returns a random inspirational phrase from the pool
+ * Returns a random inspirational phrase from the language's pool (see locales/)
+ * @param {string} language - Supported language
  * @returns {string} Random inspirational phrase with emoji
  */
-export function getRandomPhrase() {
-    const randomIndex = Math.floor(Math.random() * PHRASES.length);
-    return PHRASES[randomIndex];
+export function getRandomPhrase(language) {
+    const phrases = getCatalog(language).phrases;
+    const randomIndex = Math.floor(Math.random() * phrases.length);
+    return phrases[randomIndex];
 }
@@ -0,0 +1,67 @@
+/**
+ * De-anonymization Risk Module
+ * Detects fragments that may reveal the author of a message
+ * (emails, phone numbers, @usernames, dates, project codes, capitalised names)
+ */
+
+import { escapeHtml } from './formatter.js';
+
+/**
+ * Detection rules in priority order; earlier rules win on overlapping matches.
+ * Types are shown to users as 'pii.<type>' from the message catalog
+ */
+const PII_RULES = [
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gu },
+  { type: 'username', pattern: /(?<![\w@])@[A-Za-z][A-Za-z0-9_]{3,31}/gu },
+  { type: 'phone', pattern: /(?<!\d)\+?\d[\d\s()-]{8,}\d(?!\d)/gu },
+  { type: 'date', pattern: /(?<!\d)\d{1,2}[./]\d{1,2}(?:[./]\d{2,4})?(?!\d)/gu },
+  { type: 'code', pattern: /(?<![\p{L}\d])[A-Z]{2,10}-\d+(?![\p{L}\d])/gu },
+  // Capitalised words that don't start a sentence, e.g. "с Иваном Петровым"
+  { type: 'name', pattern: /(?<=[^.!?\s…]\s+)\p{Lu}\p{Ll}+(?:\s+\p{Lu}\p{Ll}+)*/gu }
+];
+
+/**
+ * Finds fragments that could identify the author
+ * @param {string|null} text - Message text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} Non-overlapping matches sorted by position
+ */
+export function detectPii(text) {
+  if (!text) {
+    return [];
+  }
+
+  const matches = [];
+
+  for (const rule of PII_RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const overlaps = matches.some(existing => start < existing.end && end > existing.start);
+
+      if (!overlaps) {
+        matches.push({ type: rule.type, value: match[0], start, end });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Renders text as HTML with detected fragments highlighted
+ * @param {string} text - Message text
+ * @param {Array<{start: number, end: number}>} matches - Matches from detectPii
+ * @returns {string} HTML-escaped text with highlighted fragments
+ */
+export function highlightPii(text, matches) {
+  let html = '';
+  let position = 0;
+
+  for (const match of matches) {
+    html += escapeHtml(text.slice(position, match.start));
+    html += `<b><u>${escapeHtml(match.value)}</u></b>`;
+    position = match.end;
+  }
+
+  return html + escapeHtml(text.slice(position));
+}
@@ -0,0 +1,144 @@
+/**
+ * Delivery Queue Module
+ * Holds confirmed messages in KV and releases them later, so the delivery
+ * time in the admin chat doesn't reveal when the author was writing
+ */
+
+import { getConfig } from './config.js';
+import { randomInt, shuffle } from './crypto.js';
+
+const QUEUE_KEY_PREFIX = 'queue:';
+const QUEUE_RETENTION = 604800; // 7 days in seconds after the planned release
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+/**
+ * Queue entry schema definition
+ * @typedef {Object} QueueEntry
+ * @property {string} userId - Telegram user ID of the author (needed for replies and notices)
+ * @property {number|string} chatId - Author's chat ID for the delivery notice
+ * @property {Object} session - Snapshot of the confirmed session
+ * @property {number} releaseAt - Timestamp after which the entry may be delivered
+ * @property {number} attempts - Failed delivery attempts so far
+ */
+
+/**
+ * Calculates when a message queued now should be released
+ * @param {Object} config - Configuration object from getConfig
+ * @param {number} now - Current timestamp
+ * @returns {number} Release timestamp
+ */
+export function computeReleaseTime(config, now) {
+  if (config.deliveryMode === 'batch') {
+    // Next fixed boundary, e.g. 00:00, 03:00, 06:00 UTC for 3-hour batches
+    const interval = config.deliveryBatchHours * 3600 * 1000;
+    return Math.ceil((now + 1) / interval) * interval;
+  }
+
+  const delayMinutes = randomInt(config.deliveryJitterMinMinutes, config.deliveryJitterMaxMinutes);
+  return now + delayMinutes * 60 * 1000;
+}
+
+/**
+ * Builds the KV key for a queue entry; keys sort by release time
+ * @param {number} releaseAt - Release timestamp
+ * @returns {string} KV key
+ */
+function getQueueKey(releaseAt) {
+  return `${QUEUE_KEY_PREFIX}${String(releaseAt).padStart(15, '0')}:${crypto.randomUUID()}`;
+}
+
+/**
+ * Stores an entry in KV
+ * @param {string} key - Queue KV key
+ * @param {QueueEntry} entry - Queue entry
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function saveQueueEntry(key, entry, env) {
+  await env.KV.put(key, JSON.stringify(entry), {
+    expiration: Math.floor(entry.releaseAt / 1000) + QUEUE_RETENTION,
+    metadata: { releaseAt: entry.releaseAt }
+  });
+}
+
+/**
+ * Adds a confirmed message to the delivery queue
+ * @param {string} userId - Telegram user ID
+ * @param {number|string} chatId - User's chat ID
+ * @param {Object} session - Confirmed session
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{releaseAt: number}>}
+ */
+export async function enqueueDelivery(userId, chatId, session, env) {
+  const config = getConfig(env);
+  const releaseAt = computeReleaseTime(config, Date.now());
+
+  await saveQueueEntry(getQueueKey(releaseAt), {
+    userId,
+    chatId,
+    session,
+    releaseAt,
+    attempts: 0
+  }, env);
+
+  return { releaseAt };
+}
+
+/**
+ * Delivers every due queue entry in random order
+ * Entries that fail are retried on later runs and dropped after MAX_DELIVERY_ATTEMPTS
+ * @param {Object} env - Environment bindings
+ * @param {function(QueueEntry): Promise<void>} deliver - Delivers one entry, throws on failure
+ * @param {function(QueueEntry): Promise<void>} onDropped - Called for entries that are given up on
+ * @returns {Promise<{delivered: number, failed: number, dropped: number, pending: number}>}
+ */
+export async function processDeliveryQueue(env, deliver, onDropped) {
+  const now = Date.now();
+  const dueKeys = [];
+  let pending = 0;
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: QUEUE_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      if (key.metadata && key.metadata.releaseAt <= now) {
+        dueKeys.push(key.name);
+      } else {
+        pending++;
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  const stats = { delivered: 0, failed: 0, dropped: 0, pending };
+
+  // Shuffle so the delivery order within a batch doesn't mirror submission order
+  for (const key of shuffle(dueKeys)) {
+    const entry = await env.KV.get(key, { type: 'json' });
+    if (!entry) {
+      continue;
+    }
+
+    try {
+      await deliver(entry);
+      await env.KV.delete(key);
+      stats.delivered++;
+    } catch (error) {
+      console.error('Queued delivery failed:', error.message);
+      entry.attempts = (entry.attempts || 0) + 1;
+
+      if (entry.attempts >= MAX_DELIVERY_ATTEMPTS) {
+        await env.KV.delete(key);
+        stats.dropped++;
+        await onDropped(entry);
+      } else {
+        await saveQueueEntry(key, entry, env);
+        stats.failed++;
+      }
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,192 @@
+/**
+ * Rate Limit Module
+ * Per-user submission limits and duplicate detection, checked before the
+ * confirmation step. Counters live in KV next to the session and expire after a day;
+ * admins only ever see aggregated counts of triggered limits
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { sendMessage } from './telegram.js';
+import { sha256Hex } from './crypto.js';
+import { getMediaKey } from './media.js';
+import { t, getAdminLanguage } from './i18n.js';
+
+const LIMITS_KEY_PREFIX = 'limits:user:';
+const HITS_KEY_PREFIX = 'limits:hits:';
+const LIMITS_TTL = 86400; // 1 day in seconds, the longest window
+const HITS_TTL = 7200; // 2 hours in seconds
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+/**
+ * Submission counters schema definition
+ * @typedef {Object} SubmissionCounters
+ * @property {Array<number>} sentAt - Timestamps of confirmed submissions within the last day
+ * @property {Array<{hash: string, at: number}>} hashes - Content hashes of those submissions
+ */
+
+/**
+ * Limit check result
+ * @typedef {Object} LimitCheck
+ * @property {boolean} allowed - Whether the draft may proceed to confirmation
+ * @property {'hour'|'day'|'duplicate'} [reason] - Which limit was hit
+ * @property {number} [retryAfterMs] - When the user may submit again
+ */
+
+/**
+ * Loads a user's counters, dropping entries older than a day
+ * @param {string} userId - Telegram user ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<SubmissionCounters>}
+ */
+async function loadCounters(userId, env) {
+  const stored = await env.KV.get(`${LIMITS_KEY_PREFIX}${userId}`, { type: 'json' });
+  const cutoff = Date.now() - DAY_MS;
+
+  return {
+    sentAt: ((stored && stored.sentAt) || []).filter(timestamp => timestamp > cutoff),
+    hashes: ((stored && stored.hashes) || []).filter(entry => entry.at > cutoff)
+  };
+}
+
+/**
+ * Hashes a draft's content; whitespace and case differences don't count
+ * @param {Object} session - Draft session (messageText, mediaItems)
+ * @returns {Promise<string>}
+ */
+function hashDraft(session) {
+  const text = (session.messageText || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const media = (session.mediaItems || []).map(getMediaKey).join(',');
+  return sha256Hex(`${text}\n${media}`);
+}
+
+/**
+ * Checks a draft against the user's limits before it is confirmed
+ * The check runs again whenever the confirmation is re-rendered, so triggered limits
+ * are counted separately with recordLimitHit
+ * @param {string} userId - Telegram user ID
+ * @param {Object} session - Draft session
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<LimitCheck>}
+ */
+export async function checkSubmissionLimits(userId, session, env) {
+  try {
+    const { rateLimitPerHour, rateLimitPerDay } = getConfig(env);
+    const counters = await loadCounters(userId, env);
+    const now = Date.now();
+
+    let result = { allowed: true };
+
+    const lastHour = counters.sentAt.filter(timestamp => timestamp > now - HOUR_MS);
+    const hash = await hashDraft(session);
+    const duplicate = counters.hashes.find(entry => entry.hash === hash);
+
+    if (rateLimitPerDay > 0 && counters.sentAt.length >= rateLimitPerDay) {
+      result = { allowed: false, reason: 'day', retryAfterMs: counters.sentAt[0] + DAY_MS - now };
+    } else if (rateLimitPerHour > 0 && lastHour.length >= rateLimitPerHour) {
+      result = { allowed: false, reason: 'hour', retryAfterMs: lastHour[0] + HOUR_MS - now };
+    } else if (duplicate) {
+      result = { allowed: false, reason: 'duplicate', retryAfterMs: duplicate.at + DAY_MS - now };
+    }
+
+    return result;
+  } catch (error) {
+    // Limits must never block legitimate feedback because of a KV problem
+    console.error('Error checking submission limits:', error.message);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Counts a confirmed submission (delivered or queued)
+ * @param {string} userId - Telegram user ID
+ * @param {Object} session - Confirmed session
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function recordSubmission(userId, session, env) {
+  try {
+    const counters = await loadCounters(userId, env);
+    const now = Date.now();
+
+    counters.sentAt.push(now);
+    counters.hashes.push({ hash: await hashDraft(session), at: now });
+
+    await env.KV.put(`${LIMITS_KEY_PREFIX}${userId}`, JSON.stringify(counters), { expirationTtl: LIMITS_TTL });
+  } catch (error) {
+    console.error('Error recording submission:', error.message);
+  }
+}
+
+/**
+ * Formats the cooldown message for a triggered limit
+ * @param {LimitCheck} check - Result of checkSubmissionLimits
+ * @param {string} language - User's language
+ * @returns {string}
+ */
+export function formatLimitMessage(check, language) {
+  if (check.reason === 'duplicate') {
+    return t(language, 'limits.duplicate');
+  }
+
+  const minutes = Math.max(1, Math.ceil(check.retryAfterMs / 60000));
+  const wait = minutes >= 60
+    ? t(language, 'time.hours', { hours: Math.ceil(minutes / 60) })
+    : t(language, 'time.minutes', { minutes });
+
+  return t(language, 'limits.reached', { reason: check.reason, wait });
+}
+
+/**
+ * Counts a triggered limit in the current hour and alerts the admins once
+ * per hour when RATE_LIMIT_ALERT_THRESHOLD is reached. Only totals are kept
+ * @param {'hour'|'day'|'duplicate'} reason - Triggered limit
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function recordLimitHit(reason, env) {
+  try {
+    await countLimitHit(reason, env);
+  } catch (error) {
+    console.error('Error recording limit hit:', error.message);
+  }
+}
+
+/**
+ * Increments the hourly hit counters and sends the alert (see recordLimitHit)
+ * @param {'hour'|'day'|'duplicate'} reason - Triggered limit
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function countLimitHit(reason, env) {
+  const config = getConfig(env);
+  const hour = new Date().toISOString().slice(0, 13);
+  const key = `${HITS_KEY_PREFIX}${hour}`;
+  const hits = (await env.KV.get(key, { type: 'json' })) || { hour: 0, day: 0, duplicate: 0, alerted: false };
+
+  hits[reason]++;
+
+  const total = hits.hour + hits.day + hits.duplicate;
+  const shouldAlert = config.rateLimitAlertThreshold > 0 && total >= config.rateLimitAlertThreshold && !hits.alerted;
+
+  if (shouldAlert) {
+    hits.alerted = true;
+  }
+
+  await env.KV.put(key, JSON.stringify(hits), { expirationTtl: HITS_TTL });
+
+  if (shouldAlert) {
+    await sendMessage(
+      getAdminChatId(config),
+      t(getAdminLanguage(env), 'limits.alert', {
+        hour: hour.slice(11),
+        total,
+        hourHits: hits.hour,
+        dayHits: hits.day,
+        duplicateHits: hits.duplicate
+      }),
+      {},
+      env
+    );
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Routing Module
+ * Maps category/topic combinations to one or more destination chats
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { t, getAdminLanguage } from './i18n.js';
+
+const ROUTING_KEY = 'config:routing';
+const CHAT_ID_PATTERN = /^(-?\d+|@[A-Za-z0-9_]{5,32})$/;
+const MAX_ROUTES = 50;
+const MAX_DESTINATIONS = 10;
+
+/**
+ * Destination schema definition
+ * @typedef {Object} Destination
+ * @property {string} chatId - Target chat ID or @channel username
+ * @property {number|null} threadId - Forum topic message_thread_id (optional)
+ * @property {boolean|null} controls - Whether to attach ticket status buttons (null: only in the admin chat)
+ */
+
+/**
+ * Route schema definition
+ * @typedef {Object} Route
+ * @property {string} category - Category key or '*' for any
+ * @property {string} topic - Topic key or '*' for any
+ * @property {Array<Destination>} destinations - Where matching messages are delivered
+ */
+
+/**
+ * Retrieves the routing table from KV
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{routes: Array<Route>}>} Routing table (empty when not configured)
+ */
+export async function getRoutingTable(env) {
+  try {
+    const table = await env.KV.get(ROUTING_KEY, { type: 'json' });
+    return table || { routes: [] };
+  } catch (error) {
+    console.error('Error getting routing table from KV:', error.message, error.stack);
+    return { routes: [] };
+  }
+}
+
+/**
+ * Validates and stores the routing table in KV
+ * @param {{routes: Array<Route>}} table - Routing table
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{routes: Array<Route>}>} Normalized routing table
+ * @throws {Error} If the table is invalid (message is shown to admins)
+ */
+export async function saveRoutingTable(table, env) {
+  const normalized = normalizeRoutingTable(table, getAdminLanguage(env));
+  await env.KV.put(ROUTING_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Removes the routing table so everything goes to the admin chat again
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function resetRoutingTable(env) {
+  await env.KV.delete(ROUTING_KEY);
+}
+
+/**
+ * Validates a routing table and fills in optional fields
+ * @param {{routes: Array<Route>}} table - Routing table
+ * @param {string} language - Language of error messages
+ * @returns {{routes: Array<Route>}} Normalized routing table
+ * @throws {Error} If the table is invalid
+ */
+export function normalizeRoutingTable(table, language) {
+  if (!table || !Array.isArray(table.routes) || table.routes.length > MAX_ROUTES) {
+    throw new Error(t(language, 'routing.error.object', { max: MAX_ROUTES }));
+  }
+
+  return {
+    routes: table.routes.map((route, index) => {
+      const category = route.category || '*';
+      const topic = route.topic || '*';
+
+      if (typeof category !== 'string' || typeof topic !== 'string') {
+        throw new Error(t(language, 'routing.error.match', { index }));
+      }
+
+      if (!Array.isArray(route.destinations) || route.destinations.length === 0 || route.destinations.length > MAX_DESTINATIONS) {
+        throw new Error(t(language, 'routing.error.destinations', { index, max: MAX_DESTINATIONS }));
+      }
+
+      const destinations = route.destinations.map(destination => {
+        const chatId = String(destination.chatId ?? '');
+
+        if (!CHAT_ID_PATTERN.test(chatId)) {
+          throw new Error(t(language, 'routing.error.chat_id', { index, chatId }));
+        }
+
+        if (destination.threadId !== undefined && destination.threadId !== null && !Number.isInteger(destination.threadId)) {
+          throw new Error(t(language, 'routing.error.thread_id', { index }));
+        }
+
+        return {
+          chatId,
+          threadId: destination.threadId ?? null,
+          controls: typeof destination.controls === 'boolean' ? destination.controls : null
+        };
+      });
+
+      return { category, topic, destinations };
+    })
+  };
+}
+
+/**
+ * Checks whether a destination gets ticket status buttons
+ * Other chats may be public channels, so they only get buttons when a route asks for them
+ * @param {Destination} destination - Destination from the routing table
+ * @param {string} adminChatId - Admin chat ID
+ * @returns {boolean}
+ */
+export function hasTicketControls(destination, adminChatId) {
+  if (typeof destination.controls === 'boolean') {
+    return destination.controls;
+  }
+
+  return String(destination.chatId) === String(adminChatId);
+}
+
+/**
+ * Resolves every destination for a message
+ * Falls back to the admin chat when no route matches; in TEST_MODE
+ * everything goes to the test admin chat so real teams see no test traffic
+ * @param {{category: string, topic: string}} session - Session with selected category and topic
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<Destination>>} Unique destinations
+ */
+export async function resolveDestinations(session, env) {
+  const config = getConfig(env);
+  const adminChatId = getAdminChatId(config);
+
+  if (config.testMode) {
+    return [{ chatId: String(adminChatId), threadId: null, controls: true }];
+  }
+
+  const { routes } = await getRoutingTable(env);
+  const destinations = [];
+
+  for (const route of routes) {
+    const categoryMatches = route.category === '*' || route.category === session.category;
+    const topicMatches = route.topic === '*' || route.topic === session.topic;
+
+    if (!categoryMatches || !topicMatches) {
+      continue;
+    }
+
+    for (const destination of route.destinations) {
+      const duplicate = destinations.some(existing =>
+        existing.chatId === destination.chatId && existing.threadId === destination.threadId
+      );
+
+      if (!duplicate) {
+        destinations.push({ ...destination, controls: hasTicketControls(destination, adminChatId) });
+      }
+    }
+  }
+
+  if (destinations.length === 0) {
+    return [{ chatId: String(adminChatId), threadId: null, controls: true }];
+  }
+
+  return destinations;
+}
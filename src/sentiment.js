@@ -0,0 +1,85 @@
+/**
+ * Sentiment Analysis Module
+ * Classifies message tone and flags abusive wording using the Workers AI binding
+ */
+
+import { getConfig } from './config.js';
+
+const AI_TIMEOUT = 8000; // 8 seconds
+const SENTIMENTS = ['POSITIVE', 'NEGATIVE', 'NEUTRAL'];
+
+const SYSTEM_PROMPT =
+  'You classify anonymous workplace feedback written in any language. ' +
+  'Reply with a single JSON object and nothing else: ' +
+  '{"sentiment": "POSITIVE" | "NEGATIVE" | "NEUTRAL", "abusive": true | false}. ' +
+  'Set "abusive" to true only for clear insults, slurs, threats or harassment aimed at people. ' +
+  'Criticism, complaints and strong but respectful language are not abusive.';
+
+/**
+ * Analyzes message text with the AI binding
+ * Returns null when the binding is missing, the text is empty or the model fails,
+ * so callers can proceed without analysis
+ * @param {string|null} text - Message text
+ * @param {Object} env - Environment bindings (AI binding is optional)
+ * @returns {Promise<{sentiment: string, abusive: boolean}|null>}
+ */
+export async function analyzeSentiment(text, env) {
+  if (!text || !env || !env.AI) {
+    return null;
+  }
+
+  try {
+    const { sentimentModel } = getConfig(env);
+
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('AI request timed out')), AI_TIMEOUT);
+    });
+
+    const response = await Promise.race([
+      env.AI.run(sentimentModel, {
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: text }
+        ],
+        max_tokens: 32
+      }),
+      timeout
+    ]).finally(() => clearTimeout(timeoutId));
+
+    return parseAnalysis(response?.response);
+  } catch (error) {
+    console.error('Sentiment analysis failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extracts the classification from the model output
+ * @param {string} output - Raw model output
+ * @returns {{sentiment: string, abusive: boolean}|null}
+ */
+function parseAnalysis(output) {
+  if (typeof output !== 'string') {
+    return null;
+  }
+
+  const match = output.match(/\{[\s\S]*?\}/);
+  if (!match) {
+    console.error('Unexpected sentiment model output:', output);
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    const sentiment = String(parsed.sentiment || '').toUpperCase();
+
+    return {
+      sentiment: SENTIMENTS.includes(sentiment) ? sentiment : 'NEUTRAL',
+      abusive: parsed.abusive === true
+    };
+  } catch (parseError) {
+    console.error('Failed to parse sentiment model output:', output);
+    return null;
+  }
+}
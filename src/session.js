@@ -5,17 +5,31 @@
 
 const SESSION_TTL = 3600; // 1 hour in seconds
 
+/**
+ * Maximum number of attachments in one draft (Telegram's album limit)
+ */
+export const MAX_MEDIA_ITEMS = 10;
+
 /**
  * Session schema definition
  * @typedef {Object} Session
- * @property {string} step - Current step: 'category' | 'topic' | 'message' | 'sentiment_review' | 'confirm'
+ * @property {string} step - Current step: 'category' | 'topic' | 'message' | 'sentiment_review' | 'confirm' | 'sending',
+ *   or a draft edit started from the confirmation: 'edit_text' | 'edit_category' | 'edit_topic' | 'add_media'
  * @property {string|null} category - Selected message category
  * @property {string|null} topic - Selected message topic
+ * @property {string} language - User's bot language, resolved when the draft was started
  * @property {string|null} messageText - User's message text
- * @property {Array<{type: string, fileId: string}>} mediaItems - Array of media items (supports multiple files)
+ * @property {Array<MediaItem>} mediaItems - Attachments of any supported type (see media.js)
  * @property {string|null} mediaGroupId - Telegram media_group_id for grouping multiple media
+ * @property {{messageText: string, mediaItems: Array}|null} albumBase - Draft content the current album was added to
+ * @property {number|null} composeMessageId - Message with the "Готово" button while the draft is being composed
  * @property {boolean} waitingForMediaGroup - Flag indicating if we're collecting media group messages
  * @property {string|null} sentiment - Sentiment analysis result: 'POSITIVE' | 'NEGATIVE' | 'NEUTRAL' | null
+ * @property {boolean} abusive - Whether sentiment analysis flagged the text as abusive
+ * @property {boolean} sentimentChecked - Whether the current text has already been analyzed
+ * @property {boolean} sentimentReviewed - Whether the user chose to send flagged text anyway
+ * @property {number|null} sendingAt - When sending was confirmed; a 'sending' step older than SENDING_TIMEOUT_MS
+ *   in index.js is considered failed
  * @property {number} createdAt - Timestamp when session was created
  */
 
@@ -84,6 +98,9 @@ export async function updateSession(userId, updates, env) {
         mediaGroupId: null,
         waitingForMediaGroup: false,
         sentiment: null,
+        abusive: false,
+        sentimentChecked: false,
+        sentimentReviewed: false,
         createdAt: Date.now()
       };
     }
@@ -128,3 +145,20 @@ export async function clearSession(userId, env) {
     // Non-critical error, don't throw - continue processing
   }
 }
+
+/**
+ * Adds text and attachments to a draft's content
+ * Text becomes a new paragraph; limits are checked by the caller (see compose.js)
+ * @param {{messageText: string|null, mediaItems: Array}} draft - Existing content
+ * @param {string} text - Text to add (may be empty)
+ * @param {Array<MediaItem>} mediaItems - Attachments to add
+ * @returns {{messageText: string, mediaItems: Array<MediaItem>}}
+ */
+export function appendToDraft(draft, text, mediaItems) {
+  const existingText = draft.messageText || '';
+
+  return {
+    messageText: existingText && text ? `${existingText}\n\n${text}` : existingText || text || '',
+    mediaItems: [...(draft.mediaItems || []), ...mediaItems]
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Statistics Module
+ * Keeps aggregate per-day counters of delivered messages in KV.
+ * Counters hold totals only - nothing in them can be traced back to a user
+ */
+
+import { listTrustedUsersPage } from './auth.js';
+
+const STATS_KEY_PREFIX = 'stats:day:';
+const MONTHLY_STATS_KEY_PREFIX = 'stats:month:';
+const STATS_TTL = 34560000; // 400 days in seconds
+const MONTHLY_STATS_TTL = 69120000; // 800 days in seconds
+const DAILY_RETENTION_DAYS = 35; // Older days are merged into monthly counters
+const DAY_MS = 86400000;
+
+/**
+ * Daily counters schema definition
+ * @typedef {Object} DailyStats
+ * @property {string} date - Day in YYYY-MM-DD (UTC)
+ * @property {number} total - Delivered messages
+ * @property {Object<string, number>} categories - Counts per category key
+ * @property {Object<string, number>} topics - Counts per topic key
+ * @property {Object<string, number>} sentiments - Counts per sentiment ('UNKNOWN' when not analyzed)
+ * @property {number} abusive - Messages sent despite the abusive-wording warning
+ */
+
+/**
+ * Formats a timestamp as a UTC day key
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} Day in YYYY-MM-DD
+ */
+function toDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Creates empty counters for a day
+ * @param {string} date - Day in YYYY-MM-DD
+ * @returns {DailyStats}
+ */
+function createEmptyStats(date) {
+  return {
+    date,
+    total: 0,
+    categories: {},
+    topics: {},
+    sentiments: {},
+    abusive: 0
+  };
+}
+
+/**
+ * Increments a named counter
+ * @param {Object<string, number>} counters - Counter map
+ * @param {string} key - Counter name
+ */
+function increment(counters, key) {
+  counters[key] = (counters[key] || 0) + 1;
+}
+
+/**
+ * Counts a delivered message in today's counters
+ * KV has no atomic increment, so concurrent deliveries may occasionally lose a count
+ * @param {{category: string, topic: string, sentiment: string|null, abusive: boolean}} session - Delivered session
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function recordDelivery(session, env) {
+  try {
+    const date = toDay(Date.now());
+    const key = `${STATS_KEY_PREFIX}${date}`;
+    const stats = (await env.KV.get(key, { type: 'json' })) || createEmptyStats(date);
+
+    stats.total++;
+    increment(stats.categories, session.category || 'unknown');
+    increment(stats.topics, session.topic || 'unknown');
+    increment(stats.sentiments, session.sentiment || 'UNKNOWN');
+    if (session.abusive) {
+      stats.abusive++;
+    }
+
+    await env.KV.put(key, JSON.stringify(stats), { expirationTtl: STATS_TTL });
+  } catch (error) {
+    // Statistics must never block delivery
+    console.error('Error recording stats:', error.message);
+  }
+}
+
+/**
+ * Monthly counters schema definition (compacted daily counters)
+ * @typedef {DailyStats} MonthlyStats
+ * @property {string} month - Month in YYYY-MM
+ * @property {Array<string>} compactedDays - Days already merged, so compaction can be re-run safely
+ */
+
+/**
+ * Lists all keys with a prefix
+ * @param {string} prefix - KV key prefix
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<string>>} Key names
+ */
+async function listKeys(prefix, env) {
+  const names = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix, cursor: cursor });
+    names.push(...listResult.keys.map(key => key.name));
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return names;
+}
+
+/**
+ * Loads counters for the last N days, oldest first
+ * Recent days come as daily counters (days without messages are empty);
+ * days that were already compacted come as whole-month counters
+ * @param {number} days - Number of days including today
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{daily: Array<DailyStats>, monthly: Array<MonthlyStats>}>}
+ */
+export async function getStatsForPeriod(days, env) {
+  const now = Date.now();
+  const dates = [];
+
+  for (let offset = days - 1; offset >= 0; offset--) {
+    dates.push(toDay(now - offset * DAY_MS));
+  }
+
+  // Only read days and months that actually have counters
+  const [dayKeys, monthKeys] = await Promise.all([
+    listKeys(STATS_KEY_PREFIX, env),
+    listKeys(MONTHLY_STATS_KEY_PREFIX, env)
+  ]);
+  const existingDays = new Set(dayKeys.map(key => key.slice(STATS_KEY_PREFIX.length)));
+  const existingMonths = new Set(monthKeys.map(key => key.slice(MONTHLY_STATS_KEY_PREFIX.length)));
+
+  const months = [...new Set(dates.map(date => date.slice(0, 7)))].filter(month => existingMonths.has(month));
+  const monthly = (await Promise.all(months.map(month =>
+    env.KV.get(`${MONTHLY_STATS_KEY_PREFIX}${month}`, { type: 'json' })
+  ))).filter(Boolean);
+
+  // Skip days a month already contains (compaction stopped before deleting them)
+  const compacted = new Set(monthly.flatMap(month => month.compactedDays));
+  const recentCutoff = toDay(now - DAILY_RETENTION_DAYS * DAY_MS);
+
+  const daily = await Promise.all(dates
+    .filter(date => !compacted.has(date) && (existingDays.has(date) || date >= recentCutoff))
+    .map(async date => {
+      const stats = existingDays.has(date) ? await env.KV.get(`${STATS_KEY_PREFIX}${date}`, { type: 'json' }) : null;
+      return stats || createEmptyStats(date);
+    }));
+
+  return { daily, monthly };
+}
+
+/**
+ * Merges daily counters older than DAILY_RETENTION_DAYS into monthly counters
+ * and deletes the daily keys
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{compactedDays: number, months: number}>}
+ */
+export async function compactStats(env) {
+  const cutoff = toDay(Date.now() - DAILY_RETENTION_DAYS * DAY_MS);
+  const oldDays = (await listKeys(STATS_KEY_PREFIX, env))
+    .map(key => key.slice(STATS_KEY_PREFIX.length))
+    .filter(date => date < cutoff);
+
+  const byMonth = new Map();
+  for (const date of oldDays) {
+    const month = date.slice(0, 7);
+    byMonth.set(month, [...(byMonth.get(month) || []), date]);
+  }
+
+  let compactedDays = 0;
+
+  for (const [month, dates] of byMonth) {
+    const monthKey = `${MONTHLY_STATS_KEY_PREFIX}${month}`;
+    const monthly = (await env.KV.get(monthKey, { type: 'json' })) || { ...createEmptyStats(`${month}-01`), month, compactedDays: [] };
+    const pending = dates.filter(date => !monthly.compactedDays.includes(date));
+
+    const dailyStats = (await Promise.all(pending.map(date =>
+      env.KV.get(`${STATS_KEY_PREFIX}${date}`, { type: 'json' })
+    ))).filter(Boolean);
+
+    const merged = sumStats([monthly, ...dailyStats]);
+    await env.KV.put(monthKey, JSON.stringify({
+      ...merged,
+      date: `${month}-01`,
+      month,
+      compactedDays: [...monthly.compactedDays, ...pending]
+    }), { expirationTtl: MONTHLY_STATS_TTL });
+
+    // Daily keys are deleted only after the month is saved, so a failure can't lose counts
+    for (const date of dates) {
+      await env.KV.delete(`${STATS_KEY_PREFIX}${date}`);
+    }
+
+    compactedDays += pending.length;
+  }
+
+  return { compactedDays, months: byMonth.size };
+}
+
+/**
+ * Sums daily counters into one total
+ * @param {Array<DailyStats>} dailyStats - Daily counters
+ * @returns {DailyStats} Totals (date is the first day of the range)
+ */
+export function sumStats(dailyStats) {
+  const totals = createEmptyStats(dailyStats.length > 0 ? dailyStats[0].date : toDay(Date.now()));
+
+  for (const day of dailyStats) {
+    totals.total += day.total;
+    totals.abusive += day.abusive || 0;
+
+    for (const field of ['categories', 'topics', 'sentiments']) {
+      for (const [key, count] of Object.entries(day[field] || {})) {
+        totals[field][key] = (totals[field][key] || 0) + count;
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Counts users with active trust
+ * Only key listings are read (see listTrustedUsersPage): lapsed records are told apart by their metadata
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<number>}
+ */
+export async function countTrustedUsers(env) {
+  const now = Date.now();
+  let count = 0;
+  let cursor;
+
+  do {
+    const page = await listTrustedUsersPage(cursor, undefined, env);
+    count += page.users.filter(user => !user.expiresAt || user.expiresAt > now).length;
+    cursor = page.cursor;
+  } while (cursor);
+
+  return count;
+}
@@ -0,0 +1,408 @@
+/**
+ * Surveys Module
+ * Pulse surveys started from the admin chat: a question with answer options or a
+ * 1–10 scale is broadcast to trusted users, answers are collected anonymously and
+ * the aggregated results in the admin chat are kept up to date until the deadline
+ */
+
+import { getConfig, getAdminChatId } from './config.js';
+import { sendMessage, editMessageText, answerCallbackQuery, createInlineKeyboard } from './telegram.js';
+import { createBroadcastProgress, runBroadcastBatch } from './broadcast.js';
+import { generateCode, hmacSha256Hex } from './crypto.js';
+import { t, resolveLanguage, getAdminLanguage } from './i18n.js';
+
+const SURVEY_KEY_PREFIX = 'survey:';
+const ANSWER_KEY_PREFIX = 'survey_answer:';
+const VOTER_KEY_PREFIX = 'survey_voter:';
+const VIEW_KEY_PREFIX = 'survey_view:';
+const SURVEY_RETENTION = 7776000; // 90 days in seconds after the deadline
+const RESULTS_REFRESH_MS = 30000; // Answers refresh the admin results at most this often; cron runs catch up
+const SCALE_SIZE = 10;
+const HOUR_MS = 3600000;
+
+export const MAX_SURVEY_HOURS = 720; // 30 days
+export const MAX_SURVEY_OPTIONS = 10;
+export const MAX_OPTION_LENGTH = 60; // Fits on an inline button
+export const MAX_QUESTION_LENGTH = 1000;
+
+/**
+ * Survey schema definition
+ * Answers are not part of the record: each one is a separate KV key (see recordAnswer)
+ * @typedef {Object} Survey
+ * @property {string} id - Short code used in buttons and /survey_close
+ * @property {string} question - Question text as written by the admins
+ * @property {'options'|'scale'} kind - Answer options or a 1–10 scale
+ * @property {Array<string>} options - Answer labels ('1'…'10' for a scale)
+ * @property {'active'|'closed'} status - Whether answers are accepted
+ * @property {number} createdAt - Timestamp of creation
+ * @property {number} closesAt - Deadline timestamp
+ * @property {number|null} closedAt - Timestamp when the survey was closed
+ * @property {{chatId: string, messageId: number}|null} resultsMessage - Live results message in the admin chat
+ * @property {BroadcastProgress} broadcast - Delivery progress (see broadcast.js)
+ */
+
+/**
+ * Formats a timestamp as 'YYYY-MM-DD HH:MM' (UTC)
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Returns the KV expiration shared by all keys of a survey
+ * @param {Survey} survey - Survey
+ * @returns {number} Expiration in seconds since epoch
+ */
+function getExpiration(survey) {
+  return Math.floor(survey.closesAt / 1000) + SURVEY_RETENTION;
+}
+
+/**
+ * Checks whether a survey still accepts answers
+ * @param {Survey} survey - Survey
+ * @returns {boolean}
+ */
+function isOpen(survey) {
+  return survey.status === 'active' && Date.now() < survey.closesAt;
+}
+
+/**
+ * Retrieves a survey by ID
+ * @param {string} id - Survey ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Survey|null>}
+ */
+export async function getSurvey(id, env) {
+  return env.KV.get(`${SURVEY_KEY_PREFIX}${String(id).toLowerCase()}`, { type: 'json' });
+}
+
+/**
+ * Stores a survey; the status is kept in metadata so the cron finds open surveys without reading them
+ * @param {Survey} survey - Survey to store
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function saveSurvey(survey, env) {
+  await env.KV.put(`${SURVEY_KEY_PREFIX}${survey.id}`, JSON.stringify(survey), {
+    expiration: getExpiration(survey),
+    metadata: { status: survey.status, closesAt: survey.closesAt }
+  });
+}
+
+/**
+ * Creates the answer buttons: one row per option, or two rows of five for a scale
+ * @param {Survey} survey - Survey
+ * @returns {Object} Inline keyboard markup
+ */
+function createSurveyKeyboard(survey) {
+  const buttons = survey.options.map((label, index) => ({ text: label, callback_data: `survey:${survey.id}:${index}` }));
+
+  if (survey.kind === 'scale') {
+    return createInlineKeyboard([buttons.slice(0, SCALE_SIZE / 2), buttons.slice(SCALE_SIZE / 2)]);
+  }
+
+  return createInlineKeyboard(buttons.map(button => [button]));
+}
+
+/**
+ * Formats the survey message sent to users
+ * @param {Survey} survey - Survey
+ * @param {string} language - User's language
+ * @returns {string}
+ */
+function formatSurveyMessage(survey, language) {
+  return t(language, 'survey.message', {
+    question: survey.question,
+    scale: survey.kind === 'scale',
+    date: formatTime(survey.closesAt)
+  });
+}
+
+/**
+ * Counts the answers per option
+ * @param {Survey} survey - Survey
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Array<number>>} Count per option index
+ */
+async function countAnswers(survey, env) {
+  const counts = survey.options.map(() => 0);
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: `${ANSWER_KEY_PREFIX}${survey.id}:`, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      const choice = key.metadata ? key.metadata.choice : null;
+      if (Number.isInteger(choice) && choice >= 0 && choice < counts.length) {
+        counts[choice]++;
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  return counts;
+}
+
+/**
+ * Formats the aggregated results for the admin chat
+ * @param {Survey} survey - Survey
+ * @param {Array<number>} counts - Count per option index
+ * @param {string} language - Admin language
+ * @returns {string}
+ */
+function formatSurveyResults(survey, counts, language) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+
+  const lines = survey.options.map((label, index) => t(language, 'survey.results.option', {
+    label,
+    count: counts[index],
+    percent: total > 0 ? Math.round(counts[index] * 100 / total) : 0
+  }));
+
+  if (survey.kind === 'scale' && total > 0) {
+    const sum = counts.reduce((result, count, index) => result + count * (index + 1), 0);
+    lines.push('', t(language, 'survey.results.average', { average: (sum / total).toFixed(1) }));
+  }
+
+  const open = isOpen(survey);
+  const summary = t(language, 'survey.results.summary', {
+    answers: total,
+    sent: survey.broadcast.sent,
+    failed: survey.broadcast.failed + (survey.broadcast.blocked || 0),
+    sending: open && !survey.broadcast.done
+  });
+  const status = open
+    ? t(language, 'survey.results.open', { date: formatTime(survey.closesAt), id: survey.id })
+    : t(language, 'survey.results.closed', { date: formatTime(survey.closedAt || survey.closesAt) });
+
+  return `${t(language, 'survey.results.header', { id: survey.id, question: survey.question })}\n\n` +
+    `${lines.join('\n')}\n\n${summary}\n${status}`;
+}
+
+/**
+ * Updates the results message in the admin chat
+ * The last shown text is kept in KV: Telegram rejects edits that change nothing
+ * @param {Survey} survey - Survey
+ * @param {Object} env - Environment bindings
+ * @param {boolean} throttled - Skip the update if the results were refreshed within RESULTS_REFRESH_MS
+ * @returns {Promise<number>} Total number of answers
+ */
+async function refreshResults(survey, env, throttled = false) {
+  if (!survey.resultsMessage) {
+    return 0;
+  }
+
+  const viewKey = `${VIEW_KEY_PREFIX}${survey.id}`;
+  const view = await env.KV.get(viewKey, { type: 'json' });
+
+  if (throttled && view && Date.now() - view.updatedAt < RESULTS_REFRESH_MS) {
+    return 0;
+  }
+
+  const counts = await countAnswers(survey, env);
+  const text = formatSurveyResults(survey, counts, getAdminLanguage(env));
+
+  if (!view || view.text !== text) {
+    const { chatId, messageId } = survey.resultsMessage;
+    await editMessageText(chatId, messageId, text, {}, env);
+    await env.KV.put(viewKey, JSON.stringify({ text, updatedAt: Date.now() }), { expiration: getExpiration(survey) });
+  }
+
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Sends the next broadcast batch of a survey and saves the progress
+ * @param {Survey} survey - Open survey
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Survey>} Updated survey
+ */
+async function sendNextBatch(survey, env) {
+  const keyboard = createSurveyKeyboard(survey);
+
+  // Re-read the record so a /survey_close during the batch isn't undone
+  const saveProgress = async broadcast => {
+    const latest = (await getSurvey(survey.id, env)) || survey;
+    const updated = { ...latest, broadcast };
+    await saveSurvey(updated, env);
+    return updated;
+  };
+
+  const broadcast = await runBroadcastBatch(survey.broadcast, user => sendMessage(
+    user.userId,
+    formatSurveyMessage(survey, resolveLanguage(user.language, env)),
+    { reply_markup: keyboard },
+    env
+  ), saveProgress, env);
+
+  return saveProgress(broadcast);
+}
+
+/**
+ * Creates a survey, posts the live results message and sends the first batch
+ * The remaining users get the survey on the following cron runs
+ * @param {{question: string, options: Array<string>, hours: number}} definition - Question,
+ *   answer options (empty for a 1–10 scale) and duration
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Survey>} Created survey
+ */
+export async function launchSurvey({ question, options, hours }, env) {
+  const now = Date.now();
+  const survey = {
+    id: generateCode(6),
+    question,
+    kind: options.length > 0 ? 'options' : 'scale',
+    options: options.length > 0 ? options : Array.from({ length: SCALE_SIZE }, (_, index) => String(index + 1)),
+    status: 'active',
+    createdAt: now,
+    closesAt: now + hours * HOUR_MS,
+    closedAt: null,
+    resultsMessage: null,
+    broadcast: createBroadcastProgress()
+  };
+
+  const chatId = getAdminChatId(getConfig(env));
+  const text = formatSurveyResults(survey, survey.options.map(() => 0), getAdminLanguage(env));
+  const resultsResult = await sendMessage(chatId, text, {}, env);
+  if (resultsResult.success) {
+    survey.resultsMessage = { chatId, messageId: resultsResult.messageId };
+  }
+
+  await saveSurvey(survey, env);
+
+  const updated = await sendNextBatch(survey, env);
+  await refreshResults(updated, env);
+
+  return updated;
+}
+
+/**
+ * Closes a survey, shows the final results and announces the closing in the admin chat
+ * @param {Survey} survey - Open survey
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Survey>} Closed survey
+ */
+export async function closeSurvey(survey, env) {
+  const closed = { ...survey, status: 'closed', closedAt: Date.now() };
+  await saveSurvey(closed, env);
+
+  const total = await refreshResults(closed, env);
+
+  const replyOptions = closed.resultsMessage
+    ? { reply_parameters: { message_id: closed.resultsMessage.messageId, allow_sending_without_reply: true } }
+    : {};
+  await sendMessage(
+    getAdminChatId(getConfig(env)),
+    t(getAdminLanguage(env), 'survey.closed_notice', { id: closed.id, count: total }),
+    replyOptions,
+    env
+  );
+
+  return closed;
+}
+
+/**
+ * Runs the periodic survey work: closes surveys past their deadline, sends the next
+ * broadcast batch of open ones and refreshes their results
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{sent: number, closed: number}>}
+ */
+export async function processSurveys(env) {
+  const stats = { sent: 0, closed: 0 };
+  const ids = [];
+  let cursor;
+
+  do {
+    const listResult = await env.KV.list({ prefix: SURVEY_KEY_PREFIX, cursor: cursor });
+
+    for (const key of listResult.keys) {
+      if (key.metadata && key.metadata.status === 'active') {
+        ids.push(key.name.slice(SURVEY_KEY_PREFIX.length));
+      }
+    }
+
+    cursor = listResult.list_complete ? null : listResult.cursor;
+  } while (cursor);
+
+  for (const id of ids) {
+    let survey = await getSurvey(id, env);
+    if (!survey || survey.status !== 'active') {
+      continue;
+    }
+
+    if (!isOpen(survey)) {
+      await closeSurvey(survey, env);
+      stats.closed++;
+      continue;
+    }
+
+    if (!survey.broadcast.done) {
+      const sentBefore = survey.broadcast.sent;
+      survey = await sendNextBatch(survey, env);
+      stats.sent += survey.broadcast.sent - sentBefore;
+    }
+
+    await refreshResults(survey, env);
+  }
+
+  return stats;
+}
+
+/**
+ * Handles an answer button click from a user
+ * The participation marker and the answer are separate keys with nothing in common,
+ * so an answer can't be traced back to the user who gave it
+ * @param {Object} callbackQuery - Telegram CallbackQuery object with 'survey:<id>:<option>' data
+ * @param {string} language - User's language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function handleSurveyCallback(callbackQuery, language, env) {
+  const [, id, optionValue] = callbackQuery.data.split(':');
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const survey = await getSurvey(id, env);
+
+  if (!survey || !isOpen(survey)) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'survey.closed'), env);
+    if (survey) {
+      await editMessageText(chatId, messageId, `${formatSurveyMessage(survey, language)}\n\n${t(language, 'survey.closed_note')}`, {}, env);
+    }
+    return;
+  }
+
+  const choice = Number(optionValue);
+  if (!Number.isInteger(choice) || choice < 0 || choice >= survey.options.length) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'common.unknown_action'), env);
+    return;
+  }
+
+  // KV is eventually consistent, so two clicks in quick succession may both be counted
+  const voterHash = await hmacSha256Hex(getConfig(env).voterSalt, `${survey.id}:${callbackQuery.from.id}`);
+  const voterKey = `${VOTER_KEY_PREFIX}${survey.id}:${voterHash}`;
+  if (await env.KV.get(voterKey)) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'survey.already_answered'), env);
+    return;
+  }
+
+  const expiration = getExpiration(survey);
+  await env.KV.put(voterKey, '1', { expiration });
+  await env.KV.put(`${ANSWER_KEY_PREFIX}${survey.id}:${crypto.randomUUID()}`, '', {
+    expiration,
+    metadata: { choice }
+  });
+
+  await answerCallbackQuery(callbackQuery.id, t(language, 'survey.thanks'), env);
+  await editMessageText(
+    chatId,
+    messageId,
+    `${formatSurveyMessage(survey, language)}\n\n${t(language, 'survey.answered', { answer: survey.options[choice] })}`,
+    {},
+    env
+  );
+
+  await refreshResults(survey, env, true);
+}
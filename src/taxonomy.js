@@ -0,0 +1,221 @@
+/**
+ * Taxonomy Module
+ * Stores the configurable list of message categories and topics in KV
+ */
+
+import { t, getAdminLanguage, SUPPORTED_LANGUAGES } from './i18n.js';
+
+const TAXONOMY_KEY = 'config:taxonomy';
+const KEY_PATTERN = /^[a-z0-9_]{1,32}$/;
+const MAX_LABEL_LENGTH = 64;
+const MAX_ITEMS = 20;
+
+/**
+ * Taxonomy item schema definition
+ * @typedef {Object} TaxonomyItem
+ * @property {string} key - Stable key used in callback data and sessions
+ * @property {string} label - Display name
+ * @property {Object<string, string>} [labels] - Display names in other languages, e.g. { "en": "Idea" }
+ * @property {string} emoji - Emoji shown before the label (may be empty)
+ * @property {number} order - Sort order in keyboards
+ * @property {boolean} enabled - Whether the item is offered to users
+ */
+
+/**
+ * Taxonomy schema definition
+ * @typedef {Object} Taxonomy
+ * @property {Array<TaxonomyItem>} categories - Message categories
+ * @property {Array<TaxonomyItem>} topics - Message topics
+ */
+
+/**
+ * Default taxonomy used until admins save their own
+ * @type {Taxonomy}
+ */
+export const DEFAULT_TAXONOMY = {
+  categories: [
+    { key: 'idea', label: 'Идея / предложение', labels: { en: 'Idea / suggestion' }, emoji: '💬', order: 1, enabled: true },
+    { key: 'problem', label: 'Проблема / жалоба', labels: { en: 'Problem / complaint' }, emoji: '⚠️', order: 2, enabled: true },
+    { key: 'gratitude', label: 'Благодарность / признание', labels: { en: 'Gratitude / recognition' }, emoji: '❤️', order: 3, enabled: true }
+  ],
+  topics: [
+    { key: 'processes', label: 'Процессы', labels: { en: 'Processes' }, emoji: '', order: 1, enabled: true },
+    { key: 'colleagues', label: 'Коллеги', labels: { en: 'Colleagues' }, emoji: '', order: 2, enabled: true },
+    { key: 'conditions', label: 'Условия', labels: { en: 'Working conditions' }, emoji: '', order: 3, enabled: true },
+    { key: 'salary', label: 'Зарплата', labels: { en: 'Salary' }, emoji: '', order: 4, enabled: true },
+    { key: 'management', label: 'Менеджмент', labels: { en: 'Management' }, emoji: '', order: 5, enabled: true },
+    { key: 'other', label: 'Другое', labels: { en: 'Other' }, emoji: '', order: 6, enabled: true }
+  ]
+};
+
+/**
+ * Retrieves the taxonomy from KV, falling back to the default
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Taxonomy>}
+ */
+export async function getTaxonomy(env) {
+  try {
+    const taxonomy = await env.KV.get(TAXONOMY_KEY, { type: 'json' });
+    return taxonomy || DEFAULT_TAXONOMY;
+  } catch (error) {
+    console.error('Error getting taxonomy from KV:', error.message, error.stack);
+    return DEFAULT_TAXONOMY;
+  }
+}
+
+/**
+ * Validates and stores a taxonomy in KV
+ * @param {Taxonomy} taxonomy - Taxonomy to store
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Taxonomy>} Normalized taxonomy
+ * @throws {Error} If the taxonomy is invalid (message is shown to admins)
+ */
+export async function saveTaxonomy(taxonomy, env) {
+  const normalized = normalizeTaxonomy(taxonomy, getAdminLanguage(env));
+  await env.KV.put(TAXONOMY_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Restores the default taxonomy
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function resetTaxonomy(env) {
+  await env.KV.delete(TAXONOMY_KEY);
+}
+
+/**
+ * Validates a taxonomy and fills in optional fields
+ * @param {Taxonomy} taxonomy - Taxonomy to validate
+ * @param {string} language - Language of error messages
+ * @returns {Taxonomy} Normalized taxonomy
+ * @throws {Error} If the taxonomy is invalid
+ */
+export function normalizeTaxonomy(taxonomy, language) {
+  if (!taxonomy || typeof taxonomy !== 'object') {
+    throw new Error(t(language, 'taxonomy.error.object'));
+  }
+
+  return {
+    categories: normalizeItems(taxonomy.categories, 'categories', language),
+    topics: normalizeItems(taxonomy.topics, 'topics', language)
+  };
+}
+
+/**
+ * Validates a list of taxonomy items
+ * @param {Array<TaxonomyItem>} items - Items to validate
+ * @param {string} field - Field name for error messages
+ * @param {string} language - Language of error messages
+ * @returns {Array<TaxonomyItem>} Normalized items
+ * @throws {Error} If an item is invalid
+ */
+function normalizeItems(items, field, language) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    throw new Error(t(language, 'taxonomy.error.items', { field, max: MAX_ITEMS }));
+  }
+
+  const keys = new Set();
+  const normalized = items.map((item, index) => {
+    if (!item || !KEY_PATTERN.test(item.key)) {
+      throw new Error(t(language, 'taxonomy.error.key', { field, index }));
+    }
+
+    if (keys.has(item.key)) {
+      throw new Error(t(language, 'taxonomy.error.duplicate_key', { field, key: item.key }));
+    }
+    keys.add(item.key);
+
+    if (!isValidLabel(item.label)) {
+      throw new Error(t(language, 'taxonomy.error.label', { field, key: item.key, max: MAX_LABEL_LENGTH }));
+    }
+
+    const labels = item.labels || {};
+    const validLabels = typeof labels === 'object' && Object.entries(labels).every(([labelLanguage, label]) =>
+      SUPPORTED_LANGUAGES.includes(labelLanguage) && isValidLabel(label)
+    );
+
+    if (!validLabels) {
+      throw new Error(t(language, 'taxonomy.error.labels', {
+        field,
+        key: item.key,
+        languages: SUPPORTED_LANGUAGES.join(', '),
+        max: MAX_LABEL_LENGTH
+      }));
+    }
+
+    return {
+      key: item.key,
+      label: item.label.trim(),
+      labels: Object.fromEntries(Object.entries(labels).map(([labelLanguage, label]) => [labelLanguage, label.trim()])),
+      emoji: typeof item.emoji === 'string' ? item.emoji.trim() : '',
+      order: Number.isFinite(item.order) ? item.order : index + 1,
+      enabled: item.enabled !== false
+    };
+  });
+
+  if (!normalized.some(item => item.enabled)) {
+    throw new Error(t(language, 'taxonomy.error.none_enabled', { field }));
+  }
+
+  return normalized;
+}
+
+/**
+ * Checks a display name against the length limits
+ * @param {*} label - Display name
+ * @returns {boolean}
+ */
+function isValidLabel(label) {
+  return typeof label === 'string' && Boolean(label.trim()) && label.length <= MAX_LABEL_LENGTH;
+}
+
+/**
+ * Returns enabled items sorted by order
+ * @param {Array<TaxonomyItem>} items - Categories or topics
+ * @returns {Array<TaxonomyItem>}
+ */
+export function getEnabledItems(items) {
+  return items
+    .filter(item => item.enabled)
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Finds an item by key, including disabled ones
+ * @param {Array<TaxonomyItem>} items - Categories or topics
+ * @param {string} key - Item key
+ * @returns {TaxonomyItem|null}
+ */
+export function findItem(items, key) {
+  return items.find(item => item.key === key) || null;
+}
+
+/**
+ * Returns an item's display name in a language, falling back to its main label
+ * @param {TaxonomyItem} item - Category or topic
+ * @param {string} language - Supported language
+ * @returns {string}
+ */
+export function getItemLabel(item, language) {
+  return (item.labels && item.labels[language]) || item.label;
+}
+
+/**
+ * Formats an item as "emoji label", falling back to the raw key
+ * @param {Array<TaxonomyItem>} items - Categories or topics
+ * @param {string} key - Item key
+ * @param {string} language - Supported language
+ * @returns {string}
+ */
+export function formatItemName(items, key, language) {
+  const item = findItem(items, key);
+
+  if (!item) {
+    return key;
+  }
+
+  const label = getItemLabel(item, language);
+  return item.emoji ? `${item.emoji} ${label}` : label;
+}
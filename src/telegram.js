@@ -19,6 +19,7 @@ export function createInlineKeyboard(buttons) {
 
 /**
  * Makes a request to Telegram Bot API with retry logic and exponential backoff
+ * Rate limits (429) wait for retry_after; other 4xx errors are not retried
  * @param {string} method - Telegram API method name (e.g., 'sendMessage')
  * @param {Object} params - Parameters for the API method
  * @param {Object} env - Environment bindings (contains TELEGRAM_TOKEN)
@@ -66,7 +67,9 @@ export async function apiRequest(method, params, env, retries = 3) {
                     console.error('Telegram API bad request:', data.description);
                 }
 
-                throw new Error(`Telegram API error (${response.status}): ${data.description || response.statusText}`);
+                const apiError = new Error(`Telegram API error (${response.status}): ${data.description || response.statusText}`);
+                apiError.status = response.status;
+                throw apiError;
             }
 
             return data;
@@ -78,6 +81,11 @@ export async function apiRequest(method, params, env, retries = 3) {
                 throw error;
             }
 
+            // Client errors such as a blocked bot or a bad request fail the same way every time
+            if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                throw error;
+            }
+
             // Exponential backoff: 1s, 2s, 4s
             const delay = Math.pow(2, attempt) * 1000;
             console.log(`Retrying in ${delay}ms...`);
@@ -104,7 +112,8 @@ function sleep(ms) {
  * @param {string} text - Message text
  * @param {Object} options - Additional options (reply_markup, parse_mode, etc.)
  * @param {Object} env - Environment bindings
- * @returns {Promise<{success: boolean, messageId?: number, data?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, messageId?: number, data?: Object, error?: string, errorCode?: number}>}
+ *   errorCode is the HTTP status of a Telegram API error, e.g. 403 if the user blocked the bot
  */
 export async function sendMessage(chatId, text, options = {}, env) {
     try {
@@ -130,6 +139,7 @@ export async function sendMessage(chatId, text, options = {}, env) {
         return {
             success: false,
             error: error.message,
+            errorCode: error.status,
         };
     }
 }
@@ -255,13 +265,241 @@ export async function sendDocument(chatId, documentFileId, caption = '', options
 }
 
 /**
- * Sends a media group (multiple photos/videos in one message)
+ * Sends a voice message to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} voiceFileId - Telegram file_id of the voice message
+ * @param {string} caption - Voice message caption (optional)
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendVoice(chatId, voiceFileId, caption = '', options = {}, env) {
+    try {
+        if (!chatId || !voiceFileId) {
+            throw new Error('chatId and voiceFileId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            voice: voiceFileId,
+            ...options,
+        };
+
+        if (caption) {
+            params.caption = caption;
+        }
+
+        const response = await apiRequest('sendVoice', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send voice message:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends an audio file to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} audioFileId - Telegram file_id of the audio file
+ * @param {string} caption - Audio file caption (optional)
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendAudio(chatId, audioFileId, caption = '', options = {}, env) {
+    try {
+        if (!chatId || !audioFileId) {
+            throw new Error('chatId and audioFileId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            audio: audioFileId,
+            ...options,
+        };
+
+        if (caption) {
+            params.caption = caption;
+        }
+
+        const response = await apiRequest('sendAudio', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send audio file:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends an animation to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} animationFileId - Telegram file_id of the animation
+ * @param {string} caption - Animation caption (optional)
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendAnimation(chatId, animationFileId, caption = '', options = {}, env) {
+    try {
+        if (!chatId || !animationFileId) {
+            throw new Error('chatId and animationFileId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            animation: animationFileId,
+            ...options,
+        };
+
+        if (caption) {
+            params.caption = caption;
+        }
+
+        const response = await apiRequest('sendAnimation', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send animation:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends a video note to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} videoNoteFileId - Telegram file_id of the video note
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendVideoNote(chatId, videoNoteFileId, options = {}, env) {
+    try {
+        if (!chatId || !videoNoteFileId) {
+            throw new Error('chatId and videoNoteFileId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            video_note: videoNoteFileId,
+            ...options,
+        };
+
+        const response = await apiRequest('sendVideoNote', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send video note:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends a sticker to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {string} stickerFileId - Telegram file_id of the sticker
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendSticker(chatId, stickerFileId, options = {}, env) {
+    try {
+        if (!chatId || !stickerFileId) {
+            throw new Error('chatId and stickerFileId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            sticker: stickerFileId,
+            ...options,
+        };
+
+        const response = await apiRequest('sendSticker', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send sticker:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends a location to a Telegram chat
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} latitude - Latitude of the location
+ * @param {number} longitude - Longitude of the location
+ * @param {Object} options - Additional options
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string}>}
+ */
+export async function sendLocation(chatId, latitude, longitude, options = {}, env) {
+    try {
+        if (!chatId || typeof latitude !== 'number' || typeof longitude !== 'number') {
+            throw new Error('chatId, latitude and longitude are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            latitude: latitude,
+            longitude: longitude,
+            ...options,
+        };
+
+        const response = await apiRequest('sendLocation', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to send location:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sends a media group (an album of photos and videos, of audio files or of documents)
  * @param {number|string} chatId - Telegram chat ID
  * @param {Array<Object>} media - Array of media objects with type and file_id
+ * @param {Object} options - Additional options (message_thread_id, reply_parameters, etc.)
  * @param {Object} env - Environment bindings
  * @returns {Promise<{success: boolean, messageIds?: Array<number>, error?: string}>}
  */
-export async function sendMediaGroup(chatId, media, env) {
+export async function sendMediaGroup(chatId, media, options = {}, env) {
     try {
         if (!chatId || !media || !Array.isArray(media) || media.length === 0) {
             throw new Error('chatId and non-empty media array are required');
@@ -270,6 +508,7 @@ export async function sendMediaGroup(chatId, media, env) {
         const params = {
             chat_id: chatId,
             media: media,
+            ...options,
         };
 
         const response = await apiRequest('sendMediaGroup', params, env);
@@ -358,6 +597,43 @@ export async function editMessageText(chatId, messageId, text, options = {}, env
     }
 }
 
+/**
+ * Edits caption and reply markup of a media message
+ * @param {number|string} chatId - Telegram chat ID
+ * @param {number} messageId - Message ID to edit
+ * @param {string} caption - New message caption
+ * @param {Object} options - Additional options (reply_markup, parse_mode, etc.)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export async function editMessageCaption(chatId, messageId, caption, options = {}, env) {
+    try {
+        if (!chatId || !messageId) {
+            throw new Error('chatId and messageId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            message_id: messageId,
+            caption: caption,
+            ...options,
+        };
+
+        const response = await apiRequest('editMessageCaption', params, env);
+
+        return {
+            success: response.ok,
+            data: response.result,
+        };
+    } catch (error) {
+        console.error('Failed to edit message caption:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
 /**
  * Deletes a message
  * @param {number|string} chatId - Telegram chat ID
@@ -389,3 +665,123 @@ export async function deleteMessage(chatId, messageId, env) {
         };
     }
 }
+
+/**
+ * Copies a message to another chat without a link to the original sender
+ * @param {number|string} chatId - Target chat ID
+ * @param {number|string} fromChatId - Chat ID the message was sent in
+ * @param {number} messageId - Message ID to copy
+ * @param {Object} options - Additional options (reply_parameters, caption, etc.)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, messageId?: number, error?: string, errorCode?: number}>}
+ *   errorCode is the HTTP status of a Telegram API error (see sendMessage)
+ */
+export async function copyMessage(chatId, fromChatId, messageId, options = {}, env) {
+    try {
+        if (!chatId || !fromChatId || !messageId) {
+            throw new Error('chatId, fromChatId, and messageId are required');
+        }
+
+        const params = {
+            chat_id: chatId,
+            from_chat_id: fromChatId,
+            message_id: messageId,
+            ...options,
+        };
+
+        const response = await apiRequest('copyMessage', params, env);
+
+        return {
+            success: response.ok,
+            messageId: response.result?.message_id,
+        };
+    } catch (error) {
+        console.error('Failed to copy message:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+            errorCode: error.status,
+        };
+    }
+}
+
+/**
+ * Returns basic information about the bot
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export async function getMe(env) {
+    try {
+        const response = await apiRequest('getMe', {}, env);
+
+        return {
+            success: response.ok,
+            data: response.result,
+        };
+    } catch (error) {
+        console.error('Failed to get bot info:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Gets information about a member of a chat
+ * @param {string|number} chatId - Chat ID
+ * @param {string|number} userId - User ID
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export async function getChatMember(chatId, userId, env) {
+    try {
+        const response = await apiRequest('getChatMember', {
+            chat_id: chatId,
+            user_id: userId,
+        }, env);
+
+        return {
+            success: response.ok,
+            data: response.result,
+        };
+    } catch (error) {
+        console.error('Failed to get chat member:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Sets the list of commands shown in the Telegram command menu
+ * @param {Array<{command: string, description: string}>} commands - Commands without the leading slash
+ * @param {Object} options - Additional options (scope, language_code)
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function setMyCommands(commands, options = {}, env) {
+    try {
+        if (!Array.isArray(commands)) {
+            throw new Error('commands array is required');
+        }
+
+        const params = {
+            commands: commands,
+            ...options,
+        };
+
+        const response = await apiRequest('setMyCommands', params, env);
+
+        return {
+            success: response.ok,
+        };
+    } catch (error) {
+        console.error('Failed to set bot commands:', error.message, error.stack);
+        return {
+            success: false,
+            error: error.message,
+        };
+    }
+}
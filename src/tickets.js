@@ -0,0 +1,301 @@
+/**
+ * Ticket Workflow Module
+ * Numbers feedback submissions, tracks their status in the admin chat and
+ * lets authors look the status up with a receipt code
+ */
+
+import { getConfig } from './config.js';
+import { isAdminChatMember } from './auth.js';
+import { getConversation } from './conversations.js';
+import { answerCallbackQuery, createInlineKeyboard, editMessageText, editMessageCaption, sendMessage } from './telegram.js';
+import { generateCode, sha256Hex } from './crypto.js';
+import { t, getAdminLanguage, resolveLanguage } from './i18n.js';
+
+const TICKET_TTL = 15552000; // 180 days in seconds
+const TICKET_KEY_PREFIX = 'ticket:';
+const TICKET_COUNTER_KEY = 'ticket_counter';
+const RECEIPT_KEY_PREFIX = 'receipt:';
+const RECEIPT_CODE_LENGTH = 16; // 80 bits, not guessable
+
+export const MAX_RESPONSE_LENGTH = 2000;
+
+/**
+ * Ticket status keys; display names are 'ticket.status.<key>' in the message catalog
+ */
+export const TICKET_STATUSES = ['new', 'in_progress', 'resolved', 'rejected', 'duplicate'];
+
+/**
+ * Returns the display name of a ticket status
+ * @param {string} status - Status key from TICKET_STATUSES
+ * @param {string} language - Supported language
+ * @returns {string}
+ */
+export function formatTicketStatus(status, language) {
+  return TICKET_STATUSES.includes(status) ? t(language, `ticket.status.${status}`) : status;
+}
+
+/**
+ * Ticket schema definition
+ * @typedef {Object} Ticket
+ * @property {number} number - Sequential ticket number shown to admins
+ * @property {string} status - Current status key from TICKET_STATUSES
+ * @property {string|null} conversationId - Anonymous conversation linked to the ticket
+ * @property {Array<{chatId: string, messageId: number}>} messages - Admin messages carrying the status buttons
+ * @property {string|null} changedBy - Display name of the admin who changed the status last
+ * @property {string|null} publicResponse - Admin response shown by /status to whoever holds the receipt code
+ * @property {number} createdAt - Timestamp when ticket was created
+ * @property {number} updatedAt - Timestamp of the last status change
+ */
+
+/**
+ * Allocates the next ticket number
+ * KV has no atomic increment, so numbers are best-effort sequential
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<number>} Ticket number
+ */
+async function nextTicketNumber(env) {
+  const current = parseInt(await env.KV.get(TICKET_COUNTER_KEY), 10) || 0;
+  const next = current + 1;
+  await env.KV.put(TICKET_COUNTER_KEY, String(next));
+  return next;
+}
+
+/**
+ * Creates a new ticket with status 'new'
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Ticket>} Created ticket
+ */
+export async function createTicket(env) {
+  const ticket = {
+    number: await nextTicketNumber(env),
+    status: 'new',
+    conversationId: null,
+    messages: [],
+    changedBy: null,
+    publicResponse: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  await saveTicket(ticket, env);
+  return ticket;
+}
+
+/**
+ * Retrieves a ticket by number
+ * @param {number|string} number - Ticket number
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Ticket|null>}
+ */
+export async function getTicket(number, env) {
+  try {
+    return await env.KV.get(`${TICKET_KEY_PREFIX}${number}`, { type: 'json' });
+  } catch (error) {
+    console.error('Error getting ticket from KV:', error.message, error.stack);
+    return null;
+  }
+}
+
+/**
+ * Stores a ticket in KV
+ * @param {Ticket} ticket - Ticket to store
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function saveTicket(ticket, env) {
+  await env.KV.put(`${TICKET_KEY_PREFIX}${ticket.number}`, JSON.stringify(ticket), {
+    expirationTtl: TICKET_TTL
+  });
+}
+
+/**
+ * Creates a receipt code for a ticket
+ * Only a hash of the code is stored, next to the ticket number and without the
+ * user ID, so the code itself exists only in the author's chat
+ * @param {Ticket} ticket - Delivered ticket
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<string|null>} Receipt code, or null if it could not be stored
+ */
+export async function createTicketReceipt(ticket, env) {
+  try {
+    const code = generateCode(RECEIPT_CODE_LENGTH);
+    await env.KV.put(`${RECEIPT_KEY_PREFIX}${await sha256Hex(code)}`, String(ticket.number), {
+      expirationTtl: TICKET_TTL
+    });
+    return code;
+  } catch (error) {
+    console.error('Error creating ticket receipt:', error.message, error.stack);
+    return null;
+  }
+}
+
+/**
+ * Finds the ticket of a receipt code
+ * @param {string} code - Receipt code as typed by the user
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Ticket|null>}
+ */
+export async function getTicketByReceipt(code, env) {
+  const number = await env.KV.get(`${RECEIPT_KEY_PREFIX}${await sha256Hex(code.trim().toLowerCase())}`);
+  return number ? getTicket(number, env) : null;
+}
+
+/**
+ * Formats what /status shows for a ticket: number, status and the public response
+ * @param {Ticket} ticket - Ticket
+ * @param {string} language - User's language
+ * @returns {string}
+ */
+export function formatReceiptStatus(ticket, language) {
+  return t(language, 'status.result', {
+    number: ticket.number,
+    status: formatTicketStatus(ticket.status, language),
+    response: ticket.publicResponse || null
+  });
+}
+
+/**
+ * Sets or removes the public admin response of a ticket and lets the author know about a new one
+ * @param {number|string} number - Ticket number
+ * @param {string|null} response - Response text, or null to remove it
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<Ticket|null>} Updated ticket, or null if it doesn't exist
+ */
+export async function setTicketResponse(number, response, env) {
+  const ticket = await getTicket(number, env);
+  if (!ticket) {
+    return null;
+  }
+
+  ticket.publicResponse = response;
+  ticket.updatedAt = Date.now();
+  await saveTicket(ticket, env);
+
+  if (response) {
+    await notifyAuthor(ticket, language => t(language, 'ticket.response_notice', { number: ticket.number }), env);
+  }
+
+  return ticket;
+}
+
+/**
+ * Sends a notice to the anonymous author of a ticket, if NOTIFY_STATUS_CHANGES allows it
+ * and the conversation still exists
+ * @param {Ticket} ticket - Ticket
+ * @param {function(string): string} formatNotice - Builds the notice in the author's language
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+async function notifyAuthor(ticket, formatNotice, env) {
+  const config = getConfig(env);
+  if (!config.notifyStatusChanges || !ticket.conversationId) {
+    return;
+  }
+
+  const conversation = await getConversation(ticket.conversationId, env);
+  if (!conversation) {
+    return;
+  }
+
+  // The author gets the notice in their own language
+  const authorLanguage = resolveLanguage(conversation.language, env);
+  await sendMessage(conversation.userId, formatNotice(authorLanguage), {}, env);
+}
+
+/**
+ * Creates the status button keyboard for a ticket
+ * @param {number} number - Ticket number
+ * @param {string} language - Admin language
+ * @returns {Object} Inline keyboard markup object
+ */
+export function createTicketKeyboard(number, language) {
+  const button = status => ({ text: formatTicketStatus(status, language), callback_data: `ticket:${number}:${status}` });
+
+  return createInlineKeyboard([
+    [button('in_progress'), button('resolved')],
+    [button('rejected'), button('duplicate')]
+  ]);
+}
+
+/**
+ * Appends (or replaces) the status line at the end of an admin message
+ * @param {string} text - Admin message text or caption
+ * @param {Ticket} ticket - Ticket with current status
+ * @param {string} language - Admin language
+ * @returns {string} Text with status line
+ */
+export function withTicketStatus(text, ticket, language) {
+  const marker = t(language, 'ticket.status_marker');
+  const markerIndex = text.lastIndexOf(`\n\n${marker}`);
+  const baseText = markerIndex === -1 ? text : text.slice(0, markerIndex);
+  const changedBy = ticket.changedBy ? ` (${ticket.changedBy})` : '';
+
+  return `${baseText}\n\n${marker} ${formatTicketStatus(ticket.status, language)}${changedBy}`;
+}
+
+/**
+ * Handles status button clicks on ticket messages; only admin chat members may change the status
+ * @param {Object} callbackQuery - Telegram CallbackQuery object with 'ticket:<number>:<status>' data
+ * @param {Object} env - Environment bindings
+ * @returns {Promise<void>}
+ */
+export async function handleTicketCallback(callbackQuery, env) {
+  const [, number, status] = callbackQuery.data.split(':');
+  const language = getAdminLanguage(env);
+
+  if (!TICKET_STATUSES.includes(status)) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'ticket.unknown_status'), env);
+    return;
+  }
+
+  const ticket = await getTicket(number, env);
+  const message = callbackQuery.message;
+
+  // Only messages the bot posted for this ticket may change it
+  const isTicketMessage = ticket && ticket.messages.some(ticketMessage =>
+    String(ticketMessage.chatId) === String(message.chat.id) && ticketMessage.messageId === message.message_id
+  );
+
+  if (!isTicketMessage) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'ticket.not_found'), env);
+    return;
+  }
+
+  // Buttons may sit in a chat others can see, so only admin chat members may press them
+  if (!(await isAdminChatMember(callbackQuery.from.id, env))) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'ticket.not_allowed'), env);
+    return;
+  }
+
+  if (ticket.status === status) {
+    await answerCallbackQuery(callbackQuery.id, t(language, 'ticket.status_unchanged'), env);
+    return;
+  }
+
+  const admin = callbackQuery.from;
+  ticket.status = status;
+  ticket.changedBy = admin.username ? `@${admin.username}` : admin.first_name;
+  ticket.updatedAt = Date.now();
+  await saveTicket(ticket, env);
+
+  await answerCallbackQuery(callbackQuery.id, t(language, 'ticket.status_changed', { status: formatTicketStatus(status, language) }), env);
+
+  // Edit the ticket messages in every destination chat, keeping the buttons.
+  // All destinations receive the same content, so the clicked message serves as the template
+  const options = { reply_markup: createTicketKeyboard(ticket.number, language) };
+
+  for (const ticketMessage of ticket.messages) {
+    if (message.caption !== undefined) {
+      await editMessageCaption(ticketMessage.chatId, ticketMessage.messageId, withTicketStatus(message.caption, ticket, language), options, env);
+    } else {
+      await editMessageText(ticketMessage.chatId, ticketMessage.messageId, withTicketStatus(message.text || '', ticket, language), options, env);
+    }
+  }
+
+  // Let the anonymous author know, if enabled
+  await notifyAuthor(
+    ticket,
+    authorLanguage => t(authorLanguage, 'ticket.author_notice', { number: ticket.number, status: formatTicketStatus(status, authorLanguage) }),
+    env
+  );
+}